@@ -1,11 +1,58 @@
 #! /usr/bin/env node
+const path = require('path');
 const program = require('commander');
 const {version} = require('../package.json');
 const knexUtils = require('../lib/index');
 const consolidate = require('../lib/consolidate');
+const {squash} = require('../lib/squash');
+const {diff} = require('../lib/diff');
+const {types} = require('../lib/types');
+const {erd} = require('../lib/erd');
+const {exportTables} = require('../lib/export');
+const {anonymizeDb} = require('../lib/anonymize');
 
 const env = process.env.NODE_ENV || 'development';
 
+/**
+ * Anonymize config from a .js or .json file
+ * @param {string} file
+ */
+function readAnonymizeConfig(file) {
+	// eslint-disable-next-line global-require, import/no-dynamic-require
+	return require(path.resolve(file));
+}
+
+/**
+ * Values of a repeatable option
+ * @param {string} value
+ * @param {string[]} values
+ */
+function collect(value, values) {
+	return values.concat(value);
+}
+
+/**
+ * Values of an option by table, <table>:<value> for a table, <value> for all the tables
+ * @param {string[]} values
+ * @param {string[]} tables
+ * @returns {{[table: string]: string}}
+ */
+function byTable(values, tables) {
+	const result = {};
+	values.forEach((value) => {
+		// not ::, so that casts are not taken for a table
+		const match = value.match(/^([\w.]+):(?!:)\s*([^]*)$/);
+		if (match && tables.includes(match[1])) {
+			result[match[1]] = match[2];
+			return;
+		}
+		tables.forEach((table) => {
+			if (!(table in result)) result[table] = value;
+		});
+	});
+	return result;
+}
+
 program
 	.command('refresh')
 	.action(async () => {
@@ -39,9 +86,23 @@ program
 
 program
 	.command('consolidate')
-	.action(async () => {
+	.option('-s, --schemas <schemas>', 'Comma separated schemas to consolidate (default: all non-system schemas)')
+	.option('--no-partitions', 'Only create partitioned tables, not their existing partitions')
+	.option('--check', 'Compare the generated migrations with the ones on disk, exit with 1 if they differ', false)
+	.option('--dry-run', 'Print the generated migrations instead of writing them', false)
+	.option('--verify', 'Run the generated migrations on a temporary DB and compare it with the DB', false)
+	.action(async (cmd) => {
+		const options = {
+			partitions: cmd.partitions,
+			check: cmd.check,
+			dryRun: cmd.dryRun,
+			verify: cmd.verify,
+		};
+		if (cmd.schemas) {
+			options.schemas = cmd.schemas.split(',').map(schema => schema.trim()).filter(Boolean);
+		}
 		try {
-			await consolidate.main();
+			await consolidate.main(options);
 			process.exit(0);
 		}
 		catch (err) {
@@ -50,6 +111,221 @@ program
 		}
 	});
 
+program
+	.command('squash <migration>')
+	.description('Squash all migrations till (and including) <migration> into consolidated migrations')
+	.option('-a, --archive <dir>', 'Folder to move the squashed migrations to', 'migrations/archive')
+	.option('-s, --schemas <schemas>', 'Comma separated schemas to consolidate (default: all non-system schemas)')
+	.option('--bookkeeping-only', 'Only update knex_migrations, for databases of other environments', false)
+	.action(async (migration, cmd) => {
+		const options = {
+			archive: cmd.archive,
+			bookkeepingOnly: cmd.bookkeepingOnly,
+		};
+		if (cmd.schemas) {
+			options.schemas = cmd.schemas.split(',').map(schema => schema.trim()).filter(Boolean);
+		}
+		try {
+			await squash(migration, options);
+			process.exit(0);
+		}
+		catch (err) {
+			knexUtils.getLogger().error('Error while squashing migrations', err);
+			process.exit(1);
+		}
+	});
+
+program
+	.command('diff <sourceEnv> <targetEnv>')
+	.description('Generate a migration that turns the DB of <targetEnv> into the DB of <sourceEnv>')
+	.option('-n, --name <name>', 'Name of the migration', 'diff')
+	.option('-s, --schemas <schemas>', 'Comma separated schemas to compare (default: all non-system schemas)')
+	.option('--dry-run', 'Print the migration instead of writing it', false)
+	.action(async (sourceEnv, targetEnv, cmd) => {
+		const options = {
+			name: cmd.name,
+			dryRun: cmd.dryRun,
+		};
+		if (cmd.schemas) {
+			options.schemas = cmd.schemas.split(',').map(schema => schema.trim()).filter(Boolean);
+		}
+		try {
+			await diff(sourceEnv, targetEnv, options);
+			process.exit(0);
+		}
+		catch (err) {
+			knexUtils.getLogger().error('Error while comparing DBs', err);
+			process.exit(1);
+		}
+	});
+
+program
+	.command('schema <action>')
+	.description('dump: write a JSON model of the tables, types, views, functions and triggers of the DB')
+	.option('-f, --format <format>', 'Format of the dump, only json is supported', 'json')
+	.option('-o, --out <file>', 'File to write the dump to (default: stdout)')
+	.option('-s, --schemas <schemas>', 'Comma separated schemas to dump (default: all non-system schemas)')
+	.action(async (action, cmd) => {
+		if (action !== 'dump') {
+			knexUtils.getLogger().error(`Unknown action "${action}", expected dump`);
+			process.exit(1);
+		}
+		if (cmd.format !== 'json') {
+			knexUtils.getLogger().error(`Unknown format "${cmd.format}", expected json`);
+			process.exit(1);
+		}
+		const options = {out: cmd.out};
+		if (cmd.schemas) {
+			options.schemas = cmd.schemas.split(',').map(schema => schema.trim()).filter(Boolean);
+		}
+		try {
+			await consolidate.dump(options);
+			process.exit(0);
+		}
+		catch (err) {
+			knexUtils.getLogger().error('Error while dumping the schema', err);
+			process.exit(1);
+		}
+	});
+
+program
+	.command('types')
+	.description('Generate TypeScript interfaces or JSON Schemas of the tables of the DB')
+	.option('-f, --format <format>', 'ts for a .d.ts file, json-schema for JSON Schemas', 'ts')
+	.option('-o, --out <file>', 'File to write the types to (default: stdout)')
+	.option('-s, --schemas <schemas>', 'Comma separated schemas to generate (default: all non-system schemas)')
+	.action(async (cmd) => {
+		const options = {
+			format: cmd.format,
+			out: cmd.out,
+		};
+		if (cmd.schemas) {
+			options.schemas = cmd.schemas.split(',').map(schema => schema.trim()).filter(Boolean);
+		}
+		try {
+			await types(options);
+			process.exit(0);
+		}
+		catch (err) {
+			knexUtils.getLogger().error('Error while generating types', err);
+			process.exit(1);
+		}
+	});
+
+program
+	.command('erd')
+	.description('Generate an entity relationship diagram of the tables of the DB')
+	.option('-f, --format <format>', 'mermaid, dot (Graphviz) or plantuml', 'mermaid')
+	.option('-o, --out <file>', 'File to write the diagram to (default: stdout)')
+	.option('-s, --schemas <schemas>', 'Comma separated schemas to draw (default: all non-system schemas)')
+	.option('-t, --tables <patterns>', 'Comma separated patterns of the tables to draw, eg. user*,app.orders')
+	.option('-c, --columns <columns>', 'Columns to show: all, keys (primary and foreign keys) or none', 'all')
+	.action(async (cmd) => {
+		const options = {
+			format: cmd.format,
+			out: cmd.out,
+			tables: cmd.tables,
+			columns: cmd.columns,
+		};
+		if (cmd.schemas) {
+			options.schemas = cmd.schemas.split(',').map(schema => schema.trim()).filter(Boolean);
+		}
+		try {
+			await erd(options);
+			process.exit(0);
+		}
+		catch (err) {
+			knexUtils.getLogger().error('Error while generating the diagram', err);
+			process.exit(1);
+		}
+	});
+
+program
+	.command('export')
+	.description('Export rows of tables to <table>.json files that can be seeded with seedFolder')
+	.option('-t, --tables <tables>', 'Comma separated tables to export')
+	.option('-o, --out <dir>', 'Folder to write the files to', 'seeds')
+	.option('-w, --where <condition>', 'SQL condition of the rows, <table>:<condition> for a single table (repeatable)', collect, [])
+	.option('--order-by <order>', 'SQL order of the rows, <table>:<order> for a single table (repeatable)', collect, [])
+	.option('-l, --limit <rows>', 'Maximum rows exported from each table', Number)
+	.option('-f, --follow', 'Also export the rows referenced by foreign keys of the exported rows', false)
+	.option('-b, --batch-size <rows>', 'Rows read in a query', Number, 1000)
+	.option('-a, --anonymize <config>', 'Mask personal data of the rows with the anonymize config (.js or .json)')
+	.action(async (cmd) => {
+		const tables = (cmd.tables || '').split(',').map(table => table.trim()).filter(Boolean);
+		if (!tables.length) {
+			knexUtils.getLogger().error('Give the tables to export with --tables');
+			process.exit(1);
+		}
+		try {
+			await exportTables({
+				tables,
+				out: cmd.out,
+				where: byTable(cmd.where, tables),
+				orderBy: byTable(cmd.orderBy, tables),
+				limit: cmd.limit,
+				follow: cmd.follow,
+				batchSize: cmd.batchSize,
+				anonymize: cmd.anonymize && readAnonymizeConfig(cmd.anonymize),
+			});
+			process.exit(0);
+		}
+		catch (err) {
+			knexUtils.getLogger().error('Error while exporting tables', err);
+			process.exit(1);
+		}
+	});
+
+program
+	.command('anonymize')
+	.description('Mask personal data of the database in place, eg. of a copy of production')
+	.option('-c, --config <config>', 'Anonymize config (.js or .json)')
+	.option('-b, --batch-size <rows>', 'Rows updated in a transaction', Number, 1000)
+	.action(async (cmd) => {
+		if (!cmd.config) {
+			knexUtils.getLogger().error('Give the anonymize config with --config');
+			process.exit(1);
+		}
+		try {
+			await anonymizeDb(readAnonymizeConfig(cmd.config), {batchSize: cmd.batchSize});
+			process.exit(0);
+		}
+		catch (err) {
+			knexUtils.getLogger().error('Error while anonymizing', err);
+			process.exit(1);
+		}
+	});
+
+program
+	.command('reset-sequences')
+	.description('Reset the sequences of serial and identity columns to the max value of their column')
+	.option('-t, --table <table>', 'Only the sequences of this table (or schema.table)')
+	.option('-s, --schema <schema>', 'Only the sequences of tables of this schema')
+	.option('-c, --check', 'Only report sequences lagging behind their column, exit with 1 if there are any', false)
+	.action(async (cmd) => {
+		const logger = knexUtils.getLogger();
+		try {
+			const report = await knexUtils.resetPgSequences({
+				table: cmd.table,
+				schema: cmd.schema,
+				check: cmd.check,
+			});
+			report.forEach((seq) => {
+				const current = seq.current === null ? 'unused' : seq.current;
+				const max = seq.max === null ? 'empty' : seq.max;
+				const newValue = cmd.check ? '' : ` -> ${seq.newValue}`;
+				logger.info(`${seq.sequence} (${seq.schema}.${seq.table}.${seq.column}): ` +
+					`${current}${newValue}, max ${max}${seq.lagging ? ', lagging' : ''}`);
+			});
+			if (cmd.check) logger.info(`${report.length} lagging sequences`);
+			process.exit(cmd.check && report.length ? 1 : 0);
+		}
+		catch (err) {
+			logger.error('Error while resetting sequences', err);
+			process.exit(1);
+		}
+	});
+
 // TODO: show error on unknown command
 
 program
@@ -11,20 +11,107 @@ declare module '@smpx/knex-utils' {
 	function createDb(env: string, opts?: {migrate?: boolean}): Promise<void>;
 	function recreateDb(env: string): Promise<Knex>;
 	function refreshDb(env: string): Promise<Knex>;
-	function copyDb(knex: Knex, oldDbName: string, newDbName: string): Promise<Knex>;
+	function copyDb(knex: Knex, oldDbName: string, newDbName: string, opts?: {
+		anonymize?: {
+			secret?: string,
+			tables: {[table: string]: {
+				[column: string]: string | {strategy: string, value?: any} | ((value: any, row: object) => any),
+			}},
+			patterns?: string[],
+		},
+	}): Promise<Knex>;
+	function createTempDb(knex: Knex, suffix?: string): Promise<Knex>;
+	function dropTempDb(knex: Knex): Promise<void>;
+	function dropDbKnex(knex: Knex): Promise<void>;
 	function copyDbForTest(knex: Knex, originalDb?: string): Promise<Knex>;
 	function rollbackCopyDbForTest(knex: Knex, originalDb?: string): Promise<Knex>;
-	function resetPgSequences(): Promise<void>;
-	function seedFolder(folderPath: string): Promise<void>;
+	interface DialectAdapter {
+		nameKey?: string;
+		systemDatabases?: string[];
+		withSuffix?(dbName: string, suffix: string): string;
+		create?(dbConfig: Config, dbName: string): Promise<void>;
+		drop?(dbConfig: Config, dbName: string): Promise<void>;
+		exists?(dbConfig: Config, dbName: string): Promise<boolean>;
+		terminate?(dbConfig: Config, dbName: string): Promise<void>;
+		clone?(dbConfig: Config, fromDb: string, toDb: string): Promise<void>;
+		list?(dbConfig: Config): Promise<string[]>;
+	}
+	function getDialect(dbConfig: Config): Required<DialectAdapter> & {client: string};
+	function registerDialect(clients: string | string[], adapter: DialectAdapter): void;
+	function resetPgSequences(opts?: {
+		table?: string,
+		schema?: string,
+		check?: boolean,
+		knex?: Knex,
+	}): Promise<{
+		schema: string,
+		table: string,
+		column: string,
+		sequence: string,
+		identity: boolean,
+		current: number | string | null,
+		max: number | string | null,
+		lagging: boolean,
+		newValue?: number | string,
+	}[]>;
+	function seedFolder(folderPath: string, opts?: {
+		batchSize?: number,
+		types?: {[table: string]: {
+			[column: string]: 'string' | 'number' | 'boolean' | 'json' | 'date' | ((value: any) => any),
+		}},
+		order?: string[],
+		truncate?: boolean,
+	}): Promise<void>;
+	function getPrimaryKey(table: string, knex?: Knex): Promise<string[]>;
 	function addColumn(opts: {
 		table: string,
 		column: string, 
 		type: string,
-		default: any,
-		update: any,
+		default?: any,
+		update?: any,
 		updateInBatch?: boolean,
 		index?: boolean,
 		indexConcurrent?: boolean,
+		knex?: Knex,
+	}): Promise<void>;
+	function dropColumn(opts: {
+		table: string,
+		column: string,
+		indexConcurrent?: boolean,
+		knex?: Knex,
+	}): Promise<void>;
+	function updateColumnInBatch(opts: {
+		table: string,
+		column: string,
+		update: any,
+		where?: object | Knex.Raw | ((this: Knex.QueryBuilder) => void),
+		key?: string | string[],
+		batchSize?: number,
+		delay?: number,
+		from?: any,
+		progressFile?: string,
+		knex?: Knex,
+	}): Promise<number>;
+	function setNotNull(opts: {table: string, column: string, knex?: Knex}): Promise<void>;
+	function addForeignKey(opts: {
+		table: string,
+		columns: string | string[],
+		references: {table: string, columns: string | string[]},
+		name?: string,
+		onDelete?: string,
+		onUpdate?: string,
+		knex?: Knex,
+	}): Promise<void>;
+	function createIndexConcurrently(opts: {
+		table: string,
+		columns: string | Knex.Raw | (string | Knex.Raw)[],
+		name?: string,
+		unique?: boolean,
+		using?: string,
+		where?: string,
+		knex?: Knex,
 	}): Promise<void>;
-	function updateColumnInBatch(opts: {table: string, column: string, update: any}): Promise<void>;
+	function dropIndexConcurrently(opts: {name: string, knex?: Knex}): Promise<void>;
+	function startRenameColumn(opts: {table: string, column: string, to: string, knex?: Knex}): Promise<void>;
+	function finishRenameColumn(opts: {table: string, column: string, to: string, knex?: Knex}): Promise<void>;
 }
\ No newline at end of file
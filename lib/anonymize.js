@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const {getKnex, getLogger, getPrimaryKey} = require('./index');
+const {readTable, valuesKey} = require('./rows');
+
+/**
+ * Masking personal data of a database, or of the rows being exported
+ * Values are masked with an HMAC of the value, so the same value is masked the same way
+ * in every table and column, and relationships through them survive
+ */
+
+/**
+ * @typedef {'keep' | 'null' | 'hash' | 'email' | 'keepDomain' | 'name' | 'phone' | 'shuffle'}
+ *  strategyName
+ */
+
+/**
+ * @typedef {strategyName
+ *  | {strategy: strategyName}
+ *  | {strategy: 'fixed', value: any}
+ *  | ((value: any, row: object) => any)} columnMask
+ */
+
+/**
+ * @typedef {object} anonymizeConfig
+ * @property {string} [secret] key of the HMAC, KNEX_UTILS_ANONYMIZE_SECRET by default
+ * @property {{[table: string]: {[column: string]: columnMask}}} tables
+ * @property {string[]} [patterns] regexes of the names of columns that may have personal data,
+ *  replacing the default ones
+ */
+
+/**
+ * Columns which may have personal data, they have to be in the config (use keep to keep them)
+ */
+const piiPatterns = [
+	'e_?mail',
+	'phone|mobile|msisdn|fax',
+	'^(first|last|middle|full|sur|given|family|display|user|contact)_?name$',
+	'address|street|zip_?code|postal|postcode',
+	'birth|^dob$',
+	'ssn|social_security|passport|national_id|tax_id|aadhaar|^pan(_?(no|number))?$',
+	'password|passwd|secret|token|api_key',
+	'card_?(number|no)|iban|account_?(number|no)',
+	'^ip$|ip_?address|last_ip',
+];
+
+const firstNames = [
+	'Alex', 'Sam', 'Jordan', 'Taylor', 'Morgan', 'Casey', 'Riley', 'Jamie', 'Avery', 'Quinn',
+	'Rohan', 'Priya', 'Arjun', 'Meera', 'Kiran', 'Lena', 'Omar', 'Sofia', 'Yuki', 'Noah',
+];
+const lastNames = [
+	'Smith', 'Jones', 'Brown', 'Garcia', 'Miller', 'Davis', 'Wilson', 'Moore', 'Clark', 'Lewis',
+	'Sharma', 'Patel', 'Gupta', 'Khan', 'Singh', 'Tanaka', 'Rossi', 'Novak', 'Silva', 'Kim',
+];
+
+const strategies = ['keep', 'null', 'hash', 'email', 'keepDomain', 'name', 'phone', 'shuffle', 'fixed'];
+
+/**
+ * @param {anonymizeConfig} config
+ */
+function getSecret(config) {
+	const secret = config.secret || process.env.KNEX_UTILS_ANONYMIZE_SECRET;
+	if (!secret) {
+		throw new Error('Anonymizing needs a secret, in the config or in KNEX_UTILS_ANONYMIZE_SECRET,' +
+			' masked values could be guessed from their hashes without it');
+	}
+	return secret;
+}
+
+/**
+ * @param {columnMask} mask
+ * @returns {{strategy: string, value?: any, fn?: Function}}
+ */
+function normalizeMask(mask) {
+	if (typeof mask === 'function') return {strategy: 'function', fn: mask};
+	if (typeof mask === 'string') mask = {strategy: mask};
+	if (!mask || !strategies.includes(mask.strategy)) {
+		throw new Error(`Unknown mask ${JSON.stringify(mask)}, expected a function or ${strategies.join(', ')}`);
+	}
+	return mask;
+}
+
+/**
+ * Masks of the columns of a table that change them
+ * @param {anonymizeConfig} config
+ * @param {string} table
+ * @returns {{[column: string]: {strategy: string, value?: any, fn?: Function}}}
+ */
+function tableMasks(config, table) {
+	const masks = {};
+	Object.entries(config.tables[table] || {}).forEach(([column, mask]) => {
+		const normalized = normalizeMask(mask);
+		if (normalized.strategy !== 'keep') masks[column] = normalized;
+	});
+	return masks;
+}
+
+/**
+ * Masks the rows of tables, for a config
+ * @param {anonymizeConfig} config
+ */
+function createMasker(config) {
+	const secret = getSecret(config);
+	const hmac = value => crypto.createHmac('sha256', secret).update(String(value)).digest();
+	const hex = (value, length) => hmac(value).toString('hex').slice(0, length);
+	const pick = (list, byte) => list[byte % list.length];
+
+	const maskValue = {
+		null: () => null,
+		fixed: (value, mask) => mask.value,
+		// as long as the value, between 8 and 64 characters
+		hash: value => hex(value, Math.min(Math.max(String(value).length, 8), 64)),
+		email: value => `user.${hex(value.toLowerCase(), 16)}@example.com`,
+		keepDomain: (value) => {
+			const at = value.lastIndexOf('@');
+			if (at < 0) return hex(value, 16);
+			return `${hex(value.slice(0, at).toLowerCase(), 16)}${value.slice(at)}`;
+		},
+		name: (value) => {
+			const bytes = hmac(value);
+			return `${pick(firstNames, bytes[0])} ${pick(lastNames, bytes[1])}`;
+		},
+		// digits are replaced, the format is kept
+		phone: (value) => {
+			const digits = hmac(value);
+			let i = 0;
+			return String(value).replace(/\d/g, () => String(digits[i++ % digits.length] % 10));
+		},
+		function: (value, mask, row) => mask.fn(value, row),
+	};
+
+	/**
+	 * @param {string} table
+	 * @param {object[]} rows
+	 * @param {string[]} [primaryKey] shuffled values are ordered by the hash of the primary key
+	 * @returns {object[]} masked copies of the rows
+	 */
+	return function maskRows(table, rows, primaryKey) {
+		const masks = tableMasks(config, table);
+		const columns = Object.keys(masks);
+		if (!columns.length) return rows;
+
+		const masked = rows.map((row) => {
+			const copy = {...row};
+			columns.forEach((column) => {
+				const mask = masks[column];
+				const value = row[column];
+				if (!(column in row) || mask.strategy === 'shuffle') return;
+				if ((value === null || value === undefined) && mask.strategy !== 'function') return;
+				copy[column] = maskValue[mask.strategy](value, mask, row);
+			});
+			return copy;
+		});
+
+		// values are shuffled between the rows of the batch
+		const hasKey = primaryKey && primaryKey.length;
+		const rowKey = (row, i) => hex(hasKey ? valuesKey(row, primaryKey) : i, 16);
+		columns.filter(column => masks[column].strategy === 'shuffle').forEach((column) => {
+			const order = rows
+				.map((row, i) => ({i, key: rowKey(row, i)}))
+				.sort((a, b) => (a.key < b.key ? -1 : 1));
+			order.forEach(({i}, j) => {
+				masked[i][column] = rows[order[(j + 1) % order.length].i][column];
+			});
+		});
+
+		return masked;
+	};
+}
+
+/**
+ * Columns of the tables of the database, and whether they are in the primary key
+ * Tables of the public schema (and all tables in mysql) are named without their schema
+ * @param {import('knex')} knex
+ * @returns {Promise<{table: string, column: string, primary: boolean}[]>}
+ */
+async function getColumns(knex) {
+	if (knex.client.config.client !== 'pg') {
+		const [rows] = await knex.raw(`
+			SELECT c.TABLE_NAME AS \`table\`, c.COLUMN_NAME AS \`column\`,
+				c.COLUMN_KEY = 'PRI' AS \`primary\`
+			FROM information_schema.COLUMNS c
+				JOIN information_schema.TABLES t
+					ON t.TABLE_SCHEMA = c.TABLE_SCHEMA AND t.TABLE_NAME = c.TABLE_NAME
+			WHERE c.TABLE_SCHEMA = DATABASE() AND t.TABLE_TYPE = 'BASE TABLE'
+			ORDER BY c.TABLE_NAME, c.ORDINAL_POSITION
+		`);
+		return rows.map(row => ({...row, primary: Boolean(row.primary)}));
+	}
+
+	return (await knex.raw(`
+		SELECT
+			CASE WHEN c.table_schema = 'public' THEN c.table_name
+				ELSE c.table_schema || '.' || c.table_name END AS table,
+			c.column_name AS column,
+			EXISTS (
+				SELECT 1 FROM information_schema.table_constraints tc
+					JOIN information_schema.key_column_usage k
+						ON k.constraint_schema = tc.constraint_schema AND k.constraint_name = tc.constraint_name
+				WHERE tc.constraint_type = 'PRIMARY KEY' AND k.table_schema = c.table_schema
+					AND k.table_name = c.table_name AND k.column_name = c.column_name
+			) AS primary
+		FROM information_schema.columns c
+			JOIN information_schema.tables t
+				ON t.table_schema = c.table_schema AND t.table_name = c.table_name
+		WHERE t.table_type = 'BASE TABLE'
+			AND c.table_schema NOT IN ('pg_catalog', 'information_schema')
+			AND c.table_schema NOT LIKE 'pg_toast%'
+		ORDER BY 1, c.ordinal_position
+	`)).rows;
+}
+
+/**
+ * Check that the config is valid and covers the columns that may have personal data
+ * Primary keys can't be masked, rows are read and updated by them
+ * @param {anonymizeConfig} config
+ * @param {{table: string, column: string, primary?: boolean}[]} columns columns of the database
+ * @param {string[]} [tables] only check these tables, all by default
+ */
+function checkConfig(config, columns, tables) {
+	getSecret(config);
+	if (!config.tables) throw new Error('The anonymize config has no tables');
+
+	const errors = [];
+	Object.entries(config.tables).forEach(([table, masks]) => {
+		const tableColumns = columns.filter(col => col.table === table);
+		if (!tableColumns.length) {
+			errors.push(`table ${table} does not exist`);
+			return;
+		}
+		Object.entries(masks).forEach(([column, mask]) => {
+			const info = tableColumns.find(col => col.column === column);
+			const {strategy} = normalizeMask(mask);
+			if (!info) errors.push(`column ${table}.${column} does not exist`);
+			else if (info.primary && strategy !== 'keep') {
+				errors.push(`column ${table}.${column} is in the primary key and can't be masked`);
+			}
+		});
+	});
+
+	const patterns = (config.patterns || piiPatterns).map(pattern => new RegExp(pattern, 'i'));
+	const uncovered = columns.filter(({table, column}) => (
+		(!tables || tables.includes(table)) &&
+		patterns.some(pattern => pattern.test(column)) &&
+		!(config.tables[table] && column in config.tables[table])
+	));
+	if (uncovered.length) {
+		errors.push(`columns which may have personal data are not in the config: ${
+			uncovered.map(({table, column}) => `${table}.${column}`).join(', ')
+		} (use "keep" to keep them)`);
+	}
+
+	if (errors.length) throw new Error(`Invalid anonymize config, ${errors.join('; ')}`);
+}
+
+/**
+ * Mask the personal data of the database, eg. of a copy made with copyDb
+ * Rows are updated a batch at a time, each batch in a transaction
+ * @param {anonymizeConfig} config
+ * @param {object} [options]
+ * @param {import('knex')} [options.knex]
+ * @param {number} [options.batchSize=1000]
+ */
+async function anonymizeDb(config, {knex = getKnex(), batchSize = 1000} = {}) {
+	if (process.env.NODE_ENV === 'production') {
+		throw new Error("Can't use this in production. Too dangerous.");
+	}
+	checkConfig(config, await getColumns(knex));
+	const maskRows = createMasker(config);
+
+	for (const table of Object.keys(config.tables)) {
+		const columns = Object.keys(tableMasks(config, table));
+		if (!columns.length) continue;
+
+		// eslint-disable-next-line no-await-in-loop
+		const primaryKey = await getPrimaryKey(table, knex);
+		if (!primaryKey.length) throw new Error(`Can't anonymize ${table}, it has no primary key`);
+
+		let count = 0;
+		const options = {columns: [...new Set([...primaryKey, ...columns])], batchSize};
+		// eslint-disable-next-line no-await-in-loop
+		for await (const rows of readTable(knex, table, options)) {
+			const masked = maskRows(table, rows, primaryKey);
+			// eslint-disable-next-line no-await-in-loop
+			await knex.transaction(async (trx) => {
+				for (const row of masked) {
+					const where = {};
+					primaryKey.forEach((key) => {
+						where[key] = row[key];
+					});
+					const values = {};
+					columns.forEach((column) => {
+						values[column] = row[column];
+					});
+					// eslint-disable-next-line no-await-in-loop
+					await trx(table).where(where).update(values);
+				}
+			});
+			count += rows.length;
+		}
+		getLogger().info(`[knex-utils] Anonymized ${count} rows of ${table} (${columns.join(', ')})`);
+	}
+}
+
+module.exports = {
+	piiPatterns,
+	createMasker,
+	getColumns,
+	checkConfig,
+	anonymizeDb,
+};
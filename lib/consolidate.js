@@ -1,6 +1,9 @@
 const path = require('path');
+const {createTwoFilesPatch} = require('diff');
 const {cfg, file, Str} = require('sm-utils');
 const {getKnex, getKnexFile, getLogger} = require('./index');
+const mysql = require('./consolidateMysql');
+const {toModel, fromModel} = require('./schema');
 
 const tablesToIgnore = ['knex_migrations', 'knex_migrations_lock'];
 
@@ -26,13 +29,64 @@ function cleanComments(str) {
  */
 
 /**
+ * @param {string} name
+ */
+function quoteIdentifier(name) {
+	if (mysql.isMysql()) return `\`${name}\``;
+	return `"${name}"`;
+}
+
+/**
+ * @param {string} tableName
+ * @param {string} schema
+ */
+function quoteTable(tableName, schema = 'public') {
+	if (schema === 'public') return quoteIdentifier(tableName);
+	return `"${schema}"."${tableName}"`;
+}
+
+/**
+ * All schemas except the ones used internally by postgres
+ * @returns {Promise<string[]>}
+ */
+async function getSchemas() {
+	return (await getKnex().raw(`\
+	SELECT nspname AS schema_name
+	FROM pg_namespace
+	WHERE nspname NOT IN ('information_schema', 'pg_catalog', 'pg_toast')
+		AND nspname NOT LIKE 'pg_temp_%'
+		AND nspname NOT LIKE 'pg_toast_temp_%'
+	ORDER BY nspname`)
+	).rows.map(row => row.schema_name);
+}
+
+/**
+ * @param {string[]} [schemas] all non-system schemas if not given
+ */
+async function resolveSchemas(schemas) {
+	// mysql has no schemas, the connected database is generated like the public schema
+	if (mysql.isMysql()) return ['public'];
+	if (schemas && schemas.length) return schemas;
+	return getSchemas();
+}
+
+/**
+ * @param {string[]} [schemas]
  * @returns {Promise<table[]>}
  */
-async function getTables() {
+async function getTables(schemas = ['public']) {
 	return (await getKnex()
 		.from('information_schema.tables')
-		.where('table_schema', 'public')
-		.select('*', getKnex().raw('obj_description((\'"\' || table_name || \'"\')::REGCLASS, \'pg_class\') as comment'))
+		.whereIn('table_schema', schemas)
+		// views are generated separately
+		.where('table_type', 'BASE TABLE')
+		// tables of extensions (eg. postgis spatial_ref_sys) are created by the extension
+		.whereRaw(`NOT EXISTS (
+			SELECT 1 FROM pg_depend d
+			WHERE d.objid = (quote_ident(table_schema) || '.' || quote_ident(table_name))::REGCLASS
+				AND d.deptype = 'e'
+		)`)
+		.select('*', getKnex().raw('obj_description((quote_ident(table_schema) || \'.\' || quote_ident(table_name))::REGCLASS, \'pg_class\') as comment'))
 	).filter((table) => {
 		if (tablesToIgnore.includes(table.table_name)) return false;
 		return true;
@@ -41,8 +95,9 @@ async function getTables() {
 
 /**
  * @param {string} tableName
+ * @param {string} [schema]
  */
-async function isPartitioned(tableName) {
+async function isPartitioned(tableName, schema = 'public') {
 	// https://dba.stackexchange.com/a/40614
 	const partitions = (await getKnex().raw(`\
 	SELECT
@@ -55,36 +110,134 @@ async function isPartitioned(tableName) {
 		JOIN pg_class child             ON pg_inherits.inhrelid   = child.oid
 		JOIN pg_namespace nmsp_parent   ON nmsp_parent.oid  = parent.relnamespace
 		JOIN pg_namespace nmsp_child    ON nmsp_child.oid   = child.relnamespace
-	WHERE parent.relname='${tableName}';`)).rows;
+	WHERE parent.relname='${tableName}' AND nmsp_parent.nspname='${schema}';`)).rows;
 
 	if (partitions && partitions.length) return true;
 	return false;
 }
 
+/**
+ * Declarative partitioning info of a table (postgres 10+)
+ * @typedef {object} partitionInfo
+ * @property {boolean} is_partition table is a partition of another table
+ * @property {string | null} partition_key eg. RANGE (created_at), if the table is partitioned
+ */
+
+/**
+ * @param {string} tableName
+ * @param {string} [schema]
+ * @returns {Promise<partitionInfo>}
+ */
+async function getPartitionInfo(tableName, schema = 'public') {
+	return (await getKnex().raw(`\
+	SELECT
+		c.relispartition AS is_partition,
+		CASE WHEN pt.partrelid IS NULL THEN NULL ELSE pg_get_partkeydef(pt.partrelid) END AS partition_key
+	FROM pg_class c
+		LEFT JOIN pg_partitioned_table pt ON pt.partrelid = c.oid
+	WHERE c.oid = '"${schema}"."${tableName}"' :: REGCLASS`)
+	).rows[0];
+}
+
+/**
+ * @typedef {object} partition
+ * @property {string} table_schema
+ * @property {string} table_name
+ * @property {string} partition_bound eg. FOR VALUES FROM ('2019-01-01') TO ('2019-02-01')
+ * @property {string | null} partition_key if the partition is partitioned itself
+ */
+
+/**
+ * Direct partitions of a partitioned table
+ * @param {string} tableName
+ * @param {string} [schema]
+ * @returns {Promise<partition[]>}
+ */
+async function getPartitions(tableName, schema = 'public') {
+	return (await getKnex().raw(`\
+	SELECT
+		ns.nspname AS table_schema,
+		c.relname AS table_name,
+		pg_get_expr(c.relpartbound, c.oid) AS partition_bound,
+		CASE WHEN pt.partrelid IS NULL THEN NULL ELSE pg_get_partkeydef(pt.partrelid) END AS partition_key
+	FROM pg_inherits i
+		JOIN pg_class c ON c.oid = i.inhrelid
+		JOIN pg_namespace ns ON ns.oid = c.relnamespace
+		LEFT JOIN pg_partitioned_table pt ON pt.partrelid = c.oid
+	WHERE i.inhparent = '"${schema}"."${tableName}"' :: REGCLASS
+		AND c.relispartition
+	ORDER BY c.relname`)
+	).rows;
+}
+
+/**
+ * All partitions of a partitioned table, including partitions of partitions,
+ * each partition is listed after its parent
+ * @param {string} tableName
+ * @param {string} [schema]
+ * @returns {Promise<(partition & {parent_schema: string, parent_name: string})[]>}
+ */
+async function getAllPartitions(tableName, schema = 'public') {
+	const partitions = await getPartitions(tableName, schema);
+	const all = [];
+	for (const partition of partitions) {
+		all.push({...partition, parent_schema: schema, parent_name: tableName});
+		if (partition.partition_key) {
+			// eslint-disable-next-line no-await-in-loop
+			all.push(...await getAllPartitions(partition.table_name, partition.table_schema));
+		}
+	}
+	return all;
+}
+
 /**
  * @typedef {object} constraintInfo
  * @property {string} constraint_name
  * @property {string} constraint_def
  * @property {string} constraint_type
+ * @property {string[]} columns
+ * @property {string | null} foreign_schema schema of the referenced table for foreign keys
+ * @property {string | null} foreign_table referenced table for foreign keys
+ * @property {string[] | null} foreign_columns
+ * @property {string} on_delete action code from pg_constraint (a, r, c, n, d)
+ * @property {string} on_update action code from pg_constraint (a, r, c, n, d)
  * @property {boolean} [done]
+ * @property {boolean} [deferred] foreign key is added after all tables are created
  */
 
 /**
   * @see https://dba.stackexchange.com/a/214877
   * @see https://stackoverflow.com/a/49646508/9485498
   * @param {string} tableName
+  * @param {string} [schema]
   * @returns {Promise<constraintInfo[]>}
   */
-async function getConstraints(tableName) {
+async function getConstraints(tableName, schema = 'public') {
 	return (await getKnex().raw(`\
-	SELECT conname as constraint_name, pg_get_constraintdef(c.oid) as constraint_def , contype as constraint_type
-		FROM pg_constraint c 
-		WHERE conrelid=(
-			SELECT attrelid FROM pg_attribute
-			WHERE attrelid = (
-				SELECT oid FROM pg_class WHERE relname = '${tableName}'
-			) AND attname='tableoid'
-		)
+	SELECT
+		conname as constraint_name,
+		pg_get_constraintdef(c.oid) as constraint_def,
+		contype as constraint_type,
+		ARRAY(
+			SELECT a.attname::text
+			FROM unnest(c.conkey) WITH ORDINALITY AS k(attnum, ord)
+			JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = k.attnum
+			ORDER BY k.ord
+		) AS columns,
+		fns.nspname::text as foreign_schema,
+		ft.relname::text as foreign_table,
+		ARRAY(
+			SELECT a.attname::text
+			FROM unnest(c.confkey) WITH ORDINALITY AS k(attnum, ord)
+			JOIN pg_attribute a ON a.attrelid = c.confrelid AND a.attnum = k.attnum
+			ORDER BY k.ord
+		) AS foreign_columns,
+		confdeltype as on_delete,
+		confupdtype as on_update
+		FROM pg_constraint c
+		LEFT JOIN pg_class ft ON ft.oid = c.confrelid
+		LEFT JOIN pg_namespace fns ON fns.oid = ft.relnamespace
+		WHERE c.conrelid = '"${schema}"."${tableName}"' :: REGCLASS
 		AND contype != 'p' 
 		AND contype != 'u'`)
 	// Primary and unique key is already handled
@@ -99,14 +252,24 @@ async function getConstraints(tableName) {
  * @property {boolean} is_unique
  * @property {boolean} is_primary
  * @property {string} index_type
+ * @property {boolean} is_functional
+ * @property {boolean} is_partial
+ * @property {boolean} is_exclusion index of an exclusion constraint
+ * @property {string | null} constraint_type p or u if the index belongs to a
+ *  primary key or unique constraint
+ * @property {string} index_def complete CREATE INDEX statement
+ * @property {boolean} [single]
+ * @property {boolean} [multiple]
+ * @property {boolean} [custom] can't be created with the table builder
  */
 
 /**
  * @see https://stackoverflow.com/a/6777904/9485498
  * @param {string} tableName
+ * @param {string} [schema]
  * @returns {Promise<indexInfo[]>}
  */
-async function getIndexes(tableName) {
+async function getIndexes(tableName, schema = 'public') {
 	return (await getKnex().raw(`\
 		SELECT
 		U.usename                AS user_name,
@@ -124,7 +287,18 @@ async function getIndexes(tableName) {
 			ORDER BY k
 		) AS indexed_columns,
 		(idx.indexprs IS NOT NULL) OR (idx.indkey::int[] @> array[0]) AS is_functional,
-		idx.indpred IS NOT NULL AS is_partial
+		idx.indpred IS NOT NULL AS is_partial,
+		EXISTS (
+			SELECT 1 FROM pg_constraint c
+			WHERE c.conindid = idx.indexrelid AND c.contype = 'x'
+		) AS is_exclusion,
+		(
+			SELECT c.contype FROM pg_constraint c
+			WHERE c.conindid = idx.indexrelid
+				AND c.conrelid = idx.indrelid
+				AND c.contype IN ('p', 'u')
+		) AS constraint_type,
+		pg_get_indexdef(idx.indexrelid) AS index_def
 		FROM pg_index AS idx
 		
 		JOIN pg_class AS i ON i.oid = idx.indexrelid
@@ -132,7 +306,7 @@ async function getIndexes(tableName) {
 		JOIN pg_namespace AS NS ON i.relnamespace = NS.OID
 		JOIN pg_user AS U ON i.relowner = U.usesysid
 		
-		AND idx.indrelid :: REGCLASS = '"${tableName}"' :: REGCLASS;`)
+		AND idx.indrelid :: REGCLASS = '"${schema}"."${tableName}"' :: REGCLASS;`)
 	).rows;
 }
 
@@ -148,7 +322,11 @@ async function getIndexes(tableName) {
  * @property {string | null} comment
  * @property {number | null} character_maximum_length
  * @property {number | null} numeric_precision
+ * @property {number | null} numeric_scale
+ * @property {number | null} datetime_precision
+ * @property {string} [udt_schema] has user-defined type's schema
  * @property {string} [udt_name] has user-defined type's name
+ * @property {string} formatted_type complete type given by format_type, eg. character varying(20)[]
  */
 
 /**
@@ -156,68 +334,407 @@ async function getIndexes(tableName) {
  */
 
 /**
- * @typedef {columnInfoSimple & {index?: indexInfo}} columnInfo
+ * @typedef {columnInfoSimple & {
+ * 	index?: indexInfo,
+ * 	userType?: userTypeInfo,
+ * 	extension?: string,
+ * 	knexType?: {type: string, extraParams: (string | number)[], modifiers?: string},
+ * 	knexDefault?: string,
+ * }} columnInfo extension is the name of the extension providing the column's type,
+ *  knexType and knexDefault are given by other dialects instead of getType and defaults
  */
 
 /**
  * @see https://github.com/tgriesser/knex/issues/1135#issuecomment-293405104
  * @param {string} tableName
+ * @param {string} [schema]
  * @returns {Promise<{[key: string]: columnInfoSimple}>}
  */
-async function getColumns(tableName) {
-	const columnsInfo = await getKnex().table(tableName).columnInfo();
+async function getColumns(tableName, schema = 'public') {
+	const columnsInfo = await getKnex().withSchema(schema).table(tableName).columnInfo();
 	const detailedInfo = await getKnex()
 		.from('information_schema.columns')
+		.where('table_schema', schema)
 		.where('table_name', tableName)
-		.select('*', getKnex().raw(`col_description('"${tableName}"' :: REGCLASS, ordinal_position) as comment`));
+		.select(
+			'*',
+			getKnex().raw(`col_description('"${schema}"."${tableName}"' :: REGCLASS, ordinal_position) as comment`),
+			getKnex().raw(`(
+				SELECT format_type(a.atttypid, a.atttypmod) FROM pg_attribute a
+				WHERE a.attrelid = '"${schema}"."${tableName}"' :: REGCLASS AND a.attname = column_name
+			) as formatted_type`),
+		);
 	detailedInfo.forEach((columnDetailed) => {
 		columnsInfo[columnDetailed.column_name].detailedInfo = columnDetailed;
 	});
 	return columnsInfo;
 }
 
+/**
+ * @typedef {object} userTypeInfo
+ * @property {string} type_schema
+ * @property {string} type_name
+ * @property {string} type_kind e for enum, d for domain
+ * @property {string[]} enum_values
+ * @property {string | null} base_type type a domain is based on
+ * @property {string | null} domain_default
+ * @property {boolean} domain_not_null
+ * @property {string[]} domain_constraints eg. CONSTRAINT "positive" CHECK (VALUE > 0)
+ */
+
+/**
+ * Enums and domains in the schemas, excluding the ones created by extensions
+ * @param {string[]} [schemas]
+ * @returns {Promise<userTypeInfo[]>}
+ */
+async function getUserTypes(schemas = ['public']) {
+	return (await getKnex().raw(`\
+	SELECT
+		ns.nspname AS type_schema,
+		t.typname AS type_name,
+		t.typtype AS type_kind,
+		ARRAY(
+			SELECT e.enumlabel::text FROM pg_enum e
+			WHERE e.enumtypid = t.oid
+			ORDER BY e.enumsortorder
+		) AS enum_values,
+		CASE WHEN t.typtype = 'd' THEN format_type(t.typbasetype, t.typtypmod) END AS base_type,
+		t.typdefault AS domain_default,
+		t.typnotnull AS domain_not_null,
+		ARRAY(
+			SELECT 'CONSTRAINT ' || quote_ident(c.conname) || ' ' || pg_get_constraintdef(c.oid)
+			FROM pg_constraint c
+			WHERE c.contypid = t.oid AND c.contype = 'c'
+			ORDER BY c.conname
+		) AS domain_constraints
+	FROM pg_type t
+		JOIN pg_namespace ns ON ns.oid = t.typnamespace
+	WHERE t.typtype IN ('e', 'd')
+		AND ns.nspname = ANY(?)
+		AND NOT EXISTS (
+			SELECT 1 FROM pg_depend d
+			WHERE d.objid = t.oid AND d.deptype = 'e'
+		)
+	ORDER BY t.oid`, [schemas])
+	).rows;
+}
+
+/**
+ * @typedef {object} extensionInfo
+ * @property {string} extension_name
+ * @property {string} extension_schema
+ * @property {string[]} types types created by the extension, as schema.name
+ */
+
+/**
+ * Installed extensions, except plpgsql which is always installed
+ * @returns {Promise<extensionInfo[]>}
+ */
+async function getExtensions() {
+	return (await getKnex().raw(`\
+	SELECT
+		e.extname AS extension_name,
+		ns.nspname AS extension_schema,
+		ARRAY(
+			SELECT tns.nspname || '.' || t.typname
+			FROM pg_depend d
+				JOIN pg_type t ON t.oid = d.objid
+				JOIN pg_namespace tns ON tns.oid = t.typnamespace
+			WHERE d.refobjid = e.oid
+				AND d.classid = 'pg_type' :: REGCLASS
+				AND d.deptype = 'e'
+		) AS types
+	FROM pg_extension e
+		JOIN pg_namespace ns ON ns.oid = e.extnamespace
+	WHERE e.extname != 'plpgsql'
+	ORDER BY e.extname`)
+	).rows;
+}
+
+/**
+ * @typedef {object} viewInfo
+ * @property {string} view_schema
+ * @property {string} view_name
+ * @property {boolean} is_materialized
+ * @property {string} view_def query of the view given by pg_get_viewdef
+ * @property {string[] | null} options eg. security_barrier=true, check_option=local
+ * @property {string | null} comment
+ * @property {string[]} depends_on views used by the view, as schema.name
+ * @property {indexInfo[]} [indexes] indexes of a materialized view
+ */
+
+/**
+ * Views and materialized views in the schemas, excluding the ones created by extensions
+ * @param {string[]} [schemas]
+ * @returns {Promise<viewInfo[]>}
+ */
+async function getViews(schemas = ['public']) {
+	return (await getKnex().raw(`\
+	SELECT
+		ns.nspname AS view_schema,
+		c.relname AS view_name,
+		c.relkind = 'm' AS is_materialized,
+		pg_get_viewdef(c.oid, TRUE) AS view_def,
+		c.reloptions AS options,
+		obj_description(c.oid, 'pg_class') AS comment,
+		ARRAY(
+			SELECT DISTINCT rns.nspname || '.' || rc.relname
+			FROM pg_rewrite r
+				JOIN pg_depend d ON d.objid = r.oid
+				JOIN pg_class rc ON rc.oid = d.refobjid
+				JOIN pg_namespace rns ON rns.oid = rc.relnamespace
+			WHERE r.ev_class = c.oid
+				AND d.classid = 'pg_rewrite' :: REGCLASS
+				AND d.refclassid = 'pg_class' :: REGCLASS
+				AND rc.oid != c.oid
+				AND rc.relkind IN ('v', 'm')
+		) AS depends_on
+	FROM pg_class c
+		JOIN pg_namespace ns ON ns.oid = c.relnamespace
+	WHERE c.relkind IN ('v', 'm')
+		AND ns.nspname = ANY(?)
+		AND NOT EXISTS (
+			SELECT 1 FROM pg_depend d
+			WHERE d.objid = c.oid AND d.deptype = 'e'
+		)
+	ORDER BY ns.nspname, c.relname`, [schemas])
+	).rows;
+}
+
+/**
+ * @typedef {object} functionInfo
+ * @property {string} function_schema
+ * @property {string} function_name
+ * @property {string} identity_arguments argument types, to identify overloaded functions
+ * @property {boolean} is_procedure
+ * @property {string} function_def CREATE OR REPLACE statement given by pg_get_functiondef
+ * @property {string | null} comment
+ */
+
+/**
+ * Functions and procedures in the schemas, excluding aggregates and the ones created by extensions
+ * @param {string[]} [schemas]
+ * @param {number} [serverVersion]
+ * @returns {Promise<functionInfo[]>}
+ */
+async function getFunctions(schemas = ['public'], serverVersion = 110000) {
+	// prokind was added along with procedures in postgres 11
+	const hasProkind = serverVersion >= 110000;
+	return (await getKnex().raw(`\
+	SELECT
+		ns.nspname AS function_schema,
+		p.proname AS function_name,
+		pg_get_function_identity_arguments(p.oid) AS identity_arguments,
+		${hasProkind ? "p.prokind = 'p'" : 'FALSE'} AS is_procedure,
+		pg_get_functiondef(p.oid) AS function_def,
+		obj_description(p.oid, 'pg_proc') AS comment
+	FROM pg_proc p
+		JOIN pg_namespace ns ON ns.oid = p.pronamespace
+	WHERE ns.nspname = ANY(?)
+		AND ${hasProkind ? "p.prokind IN ('f', 'p')" : 'NOT p.proisagg AND NOT p.proiswindow'}
+		AND NOT EXISTS (
+			SELECT 1 FROM pg_depend d
+			WHERE d.objid = p.oid AND d.deptype = 'e'
+		)
+	ORDER BY ns.nspname, p.proname, p.oid`, [schemas])
+	).rows;
+}
+
+/**
+ * @typedef {object} triggerInfo
+ * @property {string} table_schema
+ * @property {string} table_name
+ * @property {string} trigger_name
+ * @property {string} trigger_def CREATE TRIGGER statement given by pg_get_triggerdef
+ */
+
+/**
+ * Triggers on the tables and views of the schemas,
+ * excluding the ones postgres creates for foreign keys
+ * @param {string[]} [schemas]
+ * @returns {Promise<triggerInfo[]>}
+ */
+async function getTriggers(schemas = ['public']) {
+	return (await getKnex().raw(`\
+	SELECT
+		ns.nspname AS table_schema,
+		c.relname AS table_name,
+		t.tgname AS trigger_name,
+		pg_get_triggerdef(t.oid) AS trigger_def
+	FROM pg_trigger t
+		JOIN pg_class c ON c.oid = t.tgrelid
+		JOIN pg_namespace ns ON ns.oid = c.relnamespace
+	WHERE NOT t.tgisinternal
+		AND ns.nspname = ANY(?)
+	ORDER BY ns.nspname, c.relname, t.tgname`, [schemas])
+	).rows;
+}
+
+/**
+ * Element types of arrays (udt_name without the leading _) that have a readable name
+ * @type {{[key: string]: string}}
+ */
+const arrayTypes = {
+	int2: 'smallint',
+	int4: 'integer',
+	int8: 'bigint',
+	float4: 'real',
+	float8: 'double precision',
+	bool: 'boolean',
+	text: 'text',
+	varchar: 'character varying',
+	uuid: 'uuid',
+	json: 'json',
+	jsonb: 'jsonb',
+	date: 'date',
+	timestamp: 'timestamp',
+	timestamptz: 'timestamptz',
+	numeric: 'numeric',
+};
+
+/**
+ * @param {columnInfo} columnInfo
+ */
+function arrayType(columnInfo) {
+	const {formatted_type: formattedType, udt_name: udtName} = columnInfo.detailedInfo;
+	if (formattedType) return formattedType;
+	const elementType = udtName.slice(1);
+	return `${arrayTypes[elementType] || elementType}[]`;
+}
+
+/**
+ * @param {string} str
+ */
+function quoteString(str) {
+	return `'${str.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Name of a user defined type to use in table builder
+ * @param {columnInfo} columnInfo
+ */
+function userTypeName(columnInfo) {
+	const {udt_schema: udtSchema, udt_name: udtName} = columnInfo.detailedInfo;
+	if (!udtSchema || udtSchema === 'public') return udtName;
+	return `${udtSchema}.${udtName}`;
+}
+
 /**
  * @param {columnInfo & {constraintCheck?: constraintInfo}} columnInfo
  */
 function getType(columnInfo) {
+	if (columnInfo.knexType) return columnInfo.knexType;
+
 	/** @type {{[key: string]: string}} */
 	const map = {
 		integer: 'integer',
+		bigint: 'bigInteger',
+		smallint: 'smallint',
 		'character varying': 'string',
+		json: 'json',
 		jsonb: 'jsonb',
 		'timestamp with time zone': 'timestamp',
+		'timestamp without time zone': 'timestamp',
+		date: 'date',
+		'time without time zone': 'time',
 		text: 'text',
 		boolean: 'boolean',
 		real: 'float',
+		'double precision': 'double',
 		numeric: 'decimal',
+		uuid: 'uuid',
+		bytea: 'binary',
+		ARRAY: 'specificType',
 		'USER-DEFINED': 'specificType',
 	};
 	let type = map[columnInfo.type];
-	if (!type) {
-		getLogger().error(`[knex-utils] Invalid type for column: ${columnInfo.type}`);
-		throw new Error('invalid type');
-	}
+	const {detailedInfo} = columnInfo;
 
-	/** @type {string[]} */
+	/** @type {(string | number | boolean)[]} */
 	let extraParams = [];
 
+	if (!type) {
+		// knex has no builder for these (inet, cidr, interval, money, character...)
+		return {
+			type: 'specificType',
+			extraParams: [`'${detailedInfo.formatted_type || columnInfo.type}'`],
+		};
+	}
+
 	switch (type) {
 		case 'specificType':
-			extraParams = [`'${columnInfo.detailedInfo.udt_name}'`];
+			if (columnInfo.type === 'ARRAY') {
+				extraParams = [`'${arrayType(columnInfo)}'`];
+			}
+			else if (columnInfo.userType && columnInfo.userType.type_kind === 'e') {
+				const {userType} = columnInfo;
+				// type is created in the schema's migration, before the tables
+				const options = [
+					'useNative: true',
+					'existingType: true',
+					`enumName: '${userType.type_name}'`,
+				];
+				if (userType.type_schema !== detailedInfo.table_schema) {
+					options.push(`schemaName: '${userType.type_schema}'`);
+				}
+				type = 'enu';
+				extraParams = [
+					`[${userType.enum_values.map(quoteString).join(', ')}]`,
+					`{${options.join(', ')}}`,
+				];
+			}
+			else if (columnInfo.userType || columnInfo.extension) {
+				extraParams = [`'${userTypeName(columnInfo)}'`];
+			}
+			else {
+				extraParams = [`'${detailedInfo.udt_name}'`];
+			}
 			break;
 		case 'integer':
 			if (columnInfo.defaultValue && columnInfo.defaultValue.startsWith('nextval')) {
 				type = 'increments';
 			}
 			break;
+		case 'bigInteger':
+			if (columnInfo.defaultValue && columnInfo.defaultValue.startsWith('nextval')) {
+				type = 'bigIncrements';
+			}
+			break;
 		case 'string':
-			if (columnInfo.detailedInfo.character_maximum_length) {
-				extraParams = [columnInfo.detailedInfo.character_maximum_length];
+			if (detailedInfo.character_maximum_length) {
+				extraParams = [detailedInfo.character_maximum_length];
 			}
 			break;
 		case 'decimal':
-			if (columnInfo.detailedInfo.numeric_precision) {
-				extraParams = [columnInfo.detailedInfo.numeric_precision];
+			if (detailedInfo.numeric_precision) {
+				extraParams = [detailedInfo.numeric_precision, detailedInfo.numeric_scale || 0];
+			}
+			else {
+				// knex uses decimal(8, 2) if precision is not given
+				extraParams = ['null'];
+			}
+			break;
+		case 'timestamp': {
+			const withoutTz = columnInfo.type === 'timestamp without time zone';
+			// 6 is the default precision
+			const precision = detailedInfo.datetime_precision;
+			if (precision === 0) {
+				// knex ignores a precision of 0
+				type = 'specificType';
+				extraParams = [`'${detailedInfo.formatted_type}'`];
+			}
+			else if (precision !== null && precision !== 6) {
+				extraParams = [withoutTz, precision];
+			}
+			else if (withoutTz) {
+				extraParams = [true];
+			}
+			break;
+		}
+		case 'time':
+			if (detailedInfo.datetime_precision !== null && detailedInfo.datetime_precision !== 6) {
+				type = 'specificType';
+				extraParams = [`'${detailedInfo.formatted_type}'`];
 			}
 			break;
 		case 'text':
@@ -248,15 +765,16 @@ function nullable(columnInfo) {
  * @param {columnInfo} columnInfo
  */
 function defaults(columnInfo) {
+	if (columnInfo.knexDefault !== undefined) return columnInfo.knexDefault;
 	if (columnInfo.defaultValue === null) return '';
 	const {type} = getType(columnInfo);
-	if (type === 'increments') return '';
+	if (type === 'increments' || type === 'bigIncrements') return '';
 
-	let defaultVal = columnInfo.defaultValue.match(/^('.*')(::[\w\s]+)?$/);
+	let defaultVal = columnInfo.defaultValue.match(/^('.*')(::[^']+)?$/);
 	if (defaultVal) {
 		defaultVal = defaultVal[1].replace(/\\'/, "'");
 	}
-	else if (type === 'numeric' || type === 'integer') {
+	else if (['integer', 'bigInteger', 'smallint', 'decimal', 'float', 'double'].includes(type)) {
 		defaultVal = Number(columnInfo.defaultValue.replace("'", ''));
 		if (Number.isNaN(defaultVal)) {
 			getLogger().warn(`[knex-utils] default value is invalid, ${columnInfo.defaultValue}, for type ${type}.`,
@@ -278,14 +796,62 @@ function defaults(columnInfo) {
 	return `.defaultTo(${defaultVal})`;
 }
 
+/**
+ * Partial, expression and non btree indexes, or ones with sort order,
+ * operator classes or included columns can't be created by the table builder
+ * @param {indexInfo} index
+ */
+function isCustomIndex(index) {
+	if (index.is_primary) return false;
+	if (index.is_partial || index.is_functional || index.index_type !== 'btree') return true;
+	const columns = index.index_def.match(/ USING btree \((.*)\)$/);
+	if (!columns) return true;
+	return columns[1] !== index.indexed_columns.join(', ');
+}
+
+/**
+ * CREATE INDEX statement of an index
+ * Indexes of partitioned tables are read as ON ONLY <table>, which creates the index on the table
+ * alone, invalid till an index of every partition is attached to it. Without ONLY the index is
+ * created on the partitions too, and on the partitions created later
+ * @param {indexInfo} index
+ */
+function createIndexSql(index) {
+	return index.index_def.replace(/ ON ONLY /, ' ON ');
+}
+
+/**
+ * Name of the index as an extra param, if it is not the same as the name knex would give it
+ * @param {indexInfo} index
+ * @param {string} tableName
+ * @param {string[]} columns
+ */
+function indexName(index, tableName, columns) {
+	let knexName;
+	if (index.is_primary) {
+		knexName = `${tableName}_pkey`;
+	}
+	else {
+		const type = index.is_unique ? 'unique' : 'index';
+		knexName = `${tableName.replace(/\.|-/g, '_')}_${columns.join('_')}_${type}`.toLowerCase();
+	}
+	if (knexName === index.index_name) return '';
+	return `'${index.index_name}'`;
+}
+
 /**
  * @param {columnInfo} columnInfo
  */
 function indexed(columnInfo) {
 	if (!columnInfo.index || !columnInfo.index.single) return '';
 	if (columnInfo.index.is_primary) return '';
-	if (columnInfo.index.is_unique) return '.unique()';
-	return '.index()';
+	const name = indexName(
+		columnInfo.index,
+		columnInfo.detailedInfo.table_name,
+		[columnInfo.detailedInfo.column_name],
+	);
+	if (columnInfo.index.is_unique) return `.unique(${name})`;
+	return `.index(${name})`;
 }
 
 /**
@@ -293,7 +859,14 @@ function indexed(columnInfo) {
  */
 function primary(columnInfo) {
 	if (!columnInfo.index || !columnInfo.index.single) return '';
-	if (columnInfo.index.is_primary) return '.primary()';
+	if (columnInfo.index.is_primary) {
+		const name = indexName(
+			columnInfo.index,
+			columnInfo.detailedInfo.table_name,
+			[columnInfo.detailedInfo.column_name],
+		);
+		return `.primary(${name})`;
+	}
 	return '';
 }
 
@@ -306,67 +879,227 @@ function comment(columnInfo) {
 }
 
 /**
- *
- * @param {table & {indexes: indexInfo[], constraints: Object.<string, constraintInfo>}} table
- * @param {{[key: string]: columnInfo}} columnsInfo
- * @param {indexInfo[]} indexInfo
+ * Actions for foreign keys, as stored in pg_constraint
+ * NO ACTION is the default so it is not emitted
+ * @type {{[key: string]: string | null}}
  */
-async function singleTableGenerator(table, columnsInfo) {
-	let extrasBefore = '';
-	let extrasAfter = '';
-	const extrasDone = {
-		citext: false,
-	};
+const foreignKeyActions = {
+	a: null,
+	r: 'RESTRICT',
+	c: 'CASCADE',
+	n: 'SET NULL',
+	d: 'SET DEFAULT',
+};
 
-	const columns = Object.keys(columnsInfo).map((columnName) => {
-		const columnInfo = columnsInfo[columnName];
-		columnInfo.constraintCheck = table.constraints[`${table.table_name}_${columnName}_check`];
-		const {type, extraParams} = getType(columnInfo);
+/**
+ * @param {constraintInfo} constraint
+ */
+function foreignKey(constraint) {
+	const toArrStr = arr => (arr.length === 1 ? `'${arr[0]}'` : `[${arr.map(c => `'${c}'`).join(', ')}]`);
+	const onDelete = foreignKeyActions[constraint.on_delete];
+	const onUpdate = foreignKeyActions[constraint.on_update];
+	const foreignTable = constraint.foreign_schema === 'public' ?
+		constraint.foreign_table :
+		`${constraint.foreign_schema}.${constraint.foreign_table}`;
 
-		if (type === 'specificType') {
-			if (extraParams[0] === "'citext'") {
-				// So that query is not added multiple times
-				if (!extrasDone.citext) extrasBefore += "\n\t\t.raw('CREATE EXTENSION IF NOT EXISTS CITEXT')";
-				extrasDone.citext = true;
-			}
-			else {
-				getLogger().warn(`[knex-utils] the specified type "${extraParams}" may not exist for column: "${columnName}" in table "${table.table_name}"`);
-			}
+	return `\
+			table.foreign(${toArrStr(constraint.columns)}, '${constraint.constraint_name}')
+				.references(${toArrStr(constraint.foreign_columns)})
+				.inTable('${foreignTable}')` +
+		`${onDelete ? `\n\t\t\t\t.onDelete('${onDelete}')` : ''}` +
+		`${onUpdate ? `\n\t\t\t\t.onUpdate('${onUpdate}')` : ''};`;
+}
+
+/**
+ * @param {table & {constraints: Object.<string, constraintInfo>}} table
+ * @returns {constraintInfo[]}
+ */
+function getForeignKeys(table) {
+	return Object.keys(table.constraints)
+		.map(key => table.constraints[key])
+		.filter(constraint => constraint.constraint_type === 'f');
+}
+
+/**
+ * Sort tables so that every table comes after the tables it references.
+ * Foreign keys that form a cycle can't be created along with the table,
+ * so they are marked as deferred and added once all tables exist
+ * @template {table & {constraints: Object.<string, constraintInfo>}} T
+ * @param {T[]} tables
+ * @returns {{sorted: T[], deferred: {table: T, constraint: constraintInfo}[]}}
+ */
+function sortTables(tables) {
+	const remaining = new Map(tables.map(table => [`${table.table_schema}.${table.table_name}`, table]));
+	/** @type {T[]} */
+	const sorted = [];
+	/** @type {{table: T, constraint: constraintInfo}[]} */
+	const deferred = [];
+
+	// self references and references to tables not being generated don't matter here
+	const pendingReferences = table => getForeignKeys(table).filter((constraint) => {
+		const foreignName = `${constraint.foreign_schema}.${constraint.foreign_table}`;
+		return !constraint.deferred &&
+			foreignName !== `${table.table_schema}.${table.table_name}` &&
+			remaining.has(foreignName);
+	});
+
+	while (remaining.size) {
+		let next = Array.from(remaining.values()).find(table => !pendingReferences(table).length);
+		if (!next) {
+			// Every remaining table is part of (or depends on) a cycle, break it at the first one
+			next = remaining.values().next().value;
+			pendingReferences(next).forEach((constraint) => {
+				constraint.deferred = true;
+				deferred.push({table: next, constraint});
+			});
 		}
-		let extraParamsString;
-		if (extraParams && extraParams.length) extraParamsString = `, ${extraParams.join(', ')}`;
-		else extraParamsString = '';
+		remaining.delete(`${next.table_schema}.${next.table_name}`);
+		sorted.push(next);
+	}
+
+	return {sorted, deferred};
+}
+
+/**
+ * Sort views so that every view comes after the views it uses
+ * @param {viewInfo[]} views
+ * @returns {viewInfo[]}
+ */
+function sortViews(views) {
+	const remaining = new Map(views.map(view => [`${view.view_schema}.${view.view_name}`, view]));
+	/** @type {viewInfo[]} */
+	const sorted = [];
 
+	while (remaining.size) {
+		// views can't depend on each other in a cycle, but don't loop forever if they somehow do
+		const next = Array.from(remaining.values())
+			.find(view => !view.depends_on.some(name => remaining.has(name))) ||
+			remaining.values().next().value;
+		remaining.delete(`${next.view_schema}.${next.view_name}`);
+		sorted.push(next);
+	}
+
+	return sorted;
+}
+
+/**
+ * @param {string} str
+ */
+function escapeTemplate(str) {
+	return str.replace(/([`$\\])/g, '\\$1');
+}
+
+/**
+ * knex can't create partitioned tables, so the partition key is added to
+ * the create statement generated by knex
+ * @param {table & {partitionKey: string, partitions: ReturnType<typeof getAllPartitions>}} table
+ * @param {string} createTable knex schema builder for the table
+ * @param {string} down
+ */
+function partitionedTableGenerator(table, createTable, down) {
+	const tableName = quoteTable(table.table_name, table.table_schema);
+	const schemaPrefix = table.table_schema === 'public' ? '' : `"${table.table_schema}".`;
+
+	const partitions = table.partitions.map((partition) => {
+		const partitionBy = partition.partition_key ? ` PARTITION BY ${partition.partition_key}` : '';
 		return `\
-			table.${type}('${columnName}'${extraParamsString})${primary(columnInfo)}` +
-			`${nullable(columnInfo)}${defaults(columnInfo)}` +
-			`${indexed(columnInfo)}${comment(columnInfo)};`;
+	await knex.raw(\`CREATE TABLE ${quoteTable(partition.table_name, partition.table_schema)}` +
+			` PARTITION OF ${quoteTable(partition.parent_name, partition.parent_schema)}` +
+			` ${escapeTemplate(partition.partition_bound)}${partitionBy}\`);`;
 	}).join('\n');
 
+	return `\
+/**
+ * Create a new partition of ${tableName}
+ * @param {import('knex')} knex
+ * @param {string} name name of the partition
+ * @param {string} bound eg. FOR VALUES FROM ('2019-01-01') TO ('2019-02-01'),
+ * 	FOR VALUES IN ('a', 'b'), FOR VALUES WITH (MODULUS 4, REMAINDER 0) or DEFAULT
+ */
+exports.createPartition = async function (knex, name, bound) {
+	return knex.raw(\`CREATE TABLE IF NOT EXISTS ${schemaPrefix}"\${name}" PARTITION OF ${tableName} \${bound}\`);
+};
+
+exports.up = async function (knex) {
+	const queries = ${createTable}
+		.toSQL();
+
+	const createQuery = queries.find(query => /^create table/i.test(query.sql));
+	createQuery.sql += \` PARTITION BY ${escapeTemplate(table.partitionKey)}\`;
+	for (const query of queries) {
+		await knex.raw(query.sql, query.bindings);
+	}\
+${partitions ? `\n\n${partitions}` : ''}
+};
+
+${down}`;
+}
+
+/**
+ * Column in the table builder, eg. table.string('name', 20).notNullable()
+ * @param {table & {constraints: Object.<string, constraintInfo>}} table
+ * @param {string} columnName
+ * @param {columnInfo} columnInfo
+ */
+function columnBuilder(table, columnName, columnInfo) {
+	columnInfo.constraintCheck = table.constraints[`${table.table_name}_${columnName}_check`];
+	const {type, extraParams, modifiers = ''} = getType(columnInfo);
+
+	if (
+		type === 'specificType' &&
+		columnInfo.type === 'USER-DEFINED' &&
+		!columnInfo.userType &&
+		!columnInfo.extension
+	) {
+		getLogger().warn(`[knex-utils] the specified type "${extraParams}" may not exist for column: "${columnName}" in table "${table.table_name}"`);
+	}
+	let extraParamsString;
+	if (extraParams && extraParams.length) extraParamsString = `, ${extraParams.join(', ')}`;
+	else extraParamsString = '';
+
+	return `table.${type}('${columnName}'${extraParamsString})${modifiers}${primary(columnInfo)}` +
+		`${nullable(columnInfo)}${defaults(columnInfo)}` +
+		`${indexed(columnInfo)}${comment(columnInfo)}`;
+}
+
+/**
+ * Schema builder creating the table, eg. knex.schema.createTable(...).raw(...)
+ * @param {table & {indexes: indexInfo[], constraints: Object.<string, constraintInfo>}} table
+ * @param {{[key: string]: columnInfo}} columnsInfo
+ */
+function createTableBuilder(table, columnsInfo) {
+	const tableName = quoteTable(table.table_name, table.table_schema);
+	const withSchema = table.table_schema === 'public' ? '' : `.withSchema('${table.table_schema}')`;
+	/** @type {string[]} */
+	const extrasAfter = [];
+
+	const columns = Object.keys(columnsInfo).map(columnName => (
+		`\t\t\t${columnBuilder(table, columnName, columnsInfo[columnName])};`
+	)).join('\n');
+
 	const indexes = table.indexes.filter(i => !i.single).map((index) => {
+		// created along with the constraint
+		if (index.is_exclusion) return '';
+		if (index.custom) {
+			extrasAfter.push(`\
+		.raw(\`${escapeTemplate(createIndexSql(index))}\`)`);
+			return '';
+		}
 		if (index.multiple) {
-			const columnsArrStr = index.indexed_columns.map(c => `'${c.replace(/"/g, '')}'`).join(', ');
+			const columnNames = index.indexed_columns.map(c => c.replace(/"/g, ''));
+			const columnsArrStr = columnNames.map(c => `'${c}'`).join(', ');
+			const name = indexName(index, table.table_name, columnNames);
+			const nameStr = name ? `, ${name}` : '';
 			if (index.is_primary) {
 				return `\
-			table.primary([${columnsArrStr}]);`;
+			table.primary([${columnsArrStr}]${nameStr});`;
 			}
 			if (index.is_unique && index.multiple) {
 				return `\
-			table.unique([${columnsArrStr}]);`;
+			table.unique([${columnsArrStr}]${nameStr});`;
 			}
 			return `\
-			table.index([${columnsArrStr}]);`;
-		}
-		if (index.index_type === 'gin') {
-			extrasAfter += `\
-		.raw(\`CREATE INDEX ${index.index_name}
-			ON ${index.table_name}
-			USING
-				GIN(
-					${index.indexed_columns}
-				)
-		\`)`;
-			return '';
+			table.index([${columnsArrStr}]${nameStr});`;
 		}
 
 
@@ -374,49 +1107,351 @@ async function singleTableGenerator(table, columnsInfo) {
 		return '';
 	}).filter(Boolean).join('\n');
 
-	extrasAfter += Object.keys(table.constraints).map((constraintKey) => {
+	extrasAfter.push(...Object.keys(table.constraints).map((constraintKey) => {
 		const constraint = table.constraints[constraintKey];
-		// CHECK type
-		if (constraint.constraint_type === 'c') {
+		// CHECK and EXCLUDE types
+		if (constraint.constraint_type === 'c' || constraint.constraint_type === 'x') {
 			if (constraint.done) return '';
 			// https://github.com/tgriesser/knex/issues/1699#issuecomment-402603481
 			return `\
-		.raw(\`ALTER TABLE "${table.table_name}" ADD CONSTRAINT "${constraint.constraint_name}" ${constraint.constraint_def}\`)`;
+		.raw(\`ALTER TABLE ${tableName} ADD CONSTRAINT "${constraint.constraint_name}" ${constraint.constraint_def}\`)`;
 		}
+		// FOREIGN KEY type, added in the table builder (or deferred to the main migration)
+		if (constraint.constraint_type === 'f') return '';
 
 		getLogger().warn('[knex-utils] Unknown constraint type', constraint);
 		return '';
-	}).filter(Boolean).join('\n');
+	}).filter(Boolean));
+
+	const foreignKeys = getForeignKeys(table)
+		.filter(constraint => !constraint.deferred)
+		.map(foreignKey)
+		.join('\n');
 
 	const tableComment = table.comment ? `\
 			table.comment(\`${cleanComments(table.comment)}\`);` : '';
 
 	return `\
-exports.up = async function (knex) {
-	return knex.schema${extrasBefore}
+knex.schema${withSchema}
 		.createTable('${table.table_name}', (table) => {
 ${columns}\
 ${indexes ? '\n' : ''}${indexes}\
+${foreignKeys ? '\n' : ''}${foreignKeys}\
 ${tableComment ? '\n' : ''}${tableComment}
 		})\
-${extrasAfter ? '\n' : ''}${extrasAfter};
-};
+${extrasAfter.length ? '\n' : ''}${extrasAfter.join('\n')}`;
+}
+
+/**
+ * @param {table & {indexes: indexInfo[], constraints: Object.<string, constraintInfo>}} table
+ * @param {{[key: string]: columnInfo}} columnsInfo
+ */
+function singleTableGenerator(table, columnsInfo) {
+	const withSchema = table.table_schema === 'public' ? '' : `.withSchema('${table.table_schema}')`;
+	const createTable = createTableBuilder(table, columnsInfo);
 
+	const down = `\
 exports.down = async function (knex) {
-	return knex.schema
+	return knex.schema${withSchema}
 		.dropTableIfExists('${table.table_name}');
 };
+`;
+
+	if (table.partitionKey) return partitionedTableGenerator(table, createTable, down);
+
+	return `\
+exports.up = async function (knex) {
+	return ${createTable};
+};
+
+${down}`;
+}
+
+/**
+ * @param {string} str
+ */
+function quoteSqlString(str) {
+	return `'${str.replace(/'/g, "''")}'`;
+}
+
+/**
+ * @param {string} dir tables, views, functions or triggers
+ * @param {string} schema
+ * @param {string} name
+ * @returns {string} path of the object's migration relative to the migrations dir
+ */
+function objectFileName(dir, schema, name) {
+	if (schema === 'public') return `${dir}/create${name}`;
+	return `${dir}/${schema}/create${name}`;
+}
+
+/**
+ * @param {table} table
+ * @returns {string} path of the table's migration relative to the migrations dir
+ */
+function tableFileName(table) {
+	return objectFileName('tables', table.table_schema, table.table_name);
+}
+
+/**
+ * Name of the variable a generated migration is required as
+ * @param {string} prefix
+ * @param {string} schema
+ * @param {string} name
+ */
+function requireName(prefix, schema, name) {
+	return `${prefix}_${schema === 'public' ? '' : `${schema}_`}${name}`.replace(/\W/g, '_');
+}
+
+/**
+ * @param {string[]} statements
+ * @param {string[]} dropStatements
+ * @returns {string} migration running the raw statements in up and the drop statements in down
+ */
+function rawGenerator(statements, dropStatements) {
+	const raw = statement => `\tawait knex.raw(\`${escapeTemplate(statement)}\`);`;
+	return `\
+exports.up = async function (knex) {
+${statements.map(raw).join('\n')}
+};
+
+exports.down = async function (knex) {
+${dropStatements.map(raw).join('\n')}
+};
 `;
 }
 
 /**
- * Main entry function
+ * Generate the migration of a function along with its overloads
+ * @param {functionInfo[]} functions functions with the same schema and name
+ */
+function functionGenerator(functions) {
+	const signature = fn => (
+		`${quoteTable(fn.function_name, fn.function_schema)}(${fn.identity_arguments})`
+	);
+	const kind = fn => (fn.is_procedure ? 'PROCEDURE' : 'FUNCTION');
+
+	const statements = [];
+	functions.forEach((fn) => {
+		statements.push(fn.function_def.trim());
+		if (fn.comment) {
+			statements.push(`COMMENT ON ${kind(fn)} ${signature(fn)} IS ${quoteSqlString(fn.comment)}`);
+		}
+	});
+	const dropStatements = functions.slice().reverse()
+		.map(fn => `DROP ${kind(fn)} IF EXISTS ${signature(fn)}`);
+
+	return rawGenerator(statements, dropStatements);
+}
+
+/**
+ * Generate the migration of a view or a materialized view along with its indexes
+ * @param {viewInfo} view
+ */
+function viewGenerator(view) {
+	const kind = view.is_materialized ? 'MATERIALIZED VIEW' : 'VIEW';
+	const viewName = quoteTable(view.view_name, view.view_schema);
+	const options = view.options && view.options.length ? ` WITH (${view.options.join(', ')})` : '';
+
+	const statements = [
+		`CREATE ${kind} ${viewName}${options} AS\n${view.view_def.trim().replace(/;$/, '')}`,
+		...(view.indexes || []).map(index => index.index_def),
+	];
+	if (view.comment) statements.push(`COMMENT ON ${kind} ${viewName} IS ${quoteSqlString(view.comment)}`);
+
+	return rawGenerator(statements, [`DROP ${kind} IF EXISTS ${viewName}`]);
+}
+
+/**
+ * Generate the migration of the triggers of a table or a view
+ * @param {triggerInfo[]} triggers triggers on the same table
+ */
+function triggersGenerator(triggers) {
+	return rawGenerator(
+		triggers.map(trigger => trigger.trigger_def),
+		triggers.slice().reverse().map(trigger => (
+			`DROP TRIGGER IF EXISTS "${trigger.trigger_name}" ON ${quoteTable(trigger.table_name, trigger.table_schema)}`
+		)),
+	);
+}
+
+/**
+ * @param {userTypeInfo} userType
+ */
+function createUserType(userType) {
+	const typeName = quoteTable(userType.type_name, userType.type_schema);
+	if (userType.type_kind === 'e') {
+		return `CREATE TYPE ${typeName} AS ENUM (${userType.enum_values.map(quoteSqlString).join(', ')})`;
+	}
+
+	let domain = `CREATE DOMAIN ${typeName} AS ${userType.base_type}`;
+	if (userType.domain_default !== null) domain += ` DEFAULT ${userType.domain_default}`;
+	if (userType.domain_not_null) domain += ' NOT NULL';
+	userType.domain_constraints.forEach((constraint) => {
+		domain += ` ${constraint}`;
+	});
+	return domain;
+}
+
+/**
+ * @param {string} tableName quoted table name
+ * @param {constraintInfo} constraint
+ */
+function addConstraint(tableName, constraint) {
+	return `ALTER TABLE ${tableName} ADD CONSTRAINT ${quoteIdentifier(constraint.constraint_name)}` +
+		` ${constraint.constraint_def}`;
+}
+
+/**
+ * @param {string} tableName quoted table name
+ * @param {constraintInfo} constraint
+ */
+function dropForeignKey(tableName, constraint) {
+	const constraintName = quoteIdentifier(constraint.constraint_name);
+	if (mysql.isMysql()) return `ALTER TABLE ${tableName} DROP FOREIGN KEY ${constraintName}`;
+	return `ALTER TABLE ${tableName} DROP CONSTRAINT IF EXISTS ${constraintName}`;
+}
+
+/**
+ * Generate the top level migration for a schema
+ * @param {string} schema
+ * @param {table[]} tables sorted in the order they should be created
+ * @param {{table: table, constraint: constraintInfo}[]} deferred
+ * @param {userTypeInfo[]} userTypes enums and domains to create before the tables,
+ *  in the order of creation
+ * @param {object} extras
+ * @param {extensionInfo[]} extras.extensions extensions to create before everything else
+ * @param {generatedObject[]} extras.objects functions, views and triggers in the order of
+ *  creation. Functions are created before the tables (defaults and checks can call them),
+ *  views and triggers after everything else
+ * @param {boolean} [extras.keepSchema] the schema is dropped by the migration creating its types
+ *  and functions
+ */
+function schemaGenerator(schema, tables, deferred, userTypes, {extensions, objects, keepSchema}) {
+	const otherSchema = name => name !== 'public' && name !== schema;
+	const extensionSchemas = Array
+		.from(new Set(extensions.map(extension => extension.extension_schema)))
+		.filter(otherSchema);
+	const functions = objects.filter(object => object.kind === 'function');
+	const afterTables = objects.filter(object => object.kind !== 'function');
+	// types and functions of other schemas are created here too, tables of every schema can use them
+	const typeSchemas = Array
+		.from(new Set(userTypes.map(userType => userType.type_schema)
+			.concat(functions.map(object => object.schema))))
+		.filter(otherSchema);
+	const createSchemas = Array.from(new Set(extensionSchemas.concat(typeSchemas)));
+
+	const quoted = ({table, constraint}) => ({
+		tableName: quoteTable(table.table_name, table.table_schema),
+		constraint,
+	});
+	const lines = arr => arr.map(line => `\t${line}`).join('\n');
+	const blocks = arr => arr.filter(Boolean).join('\n\n');
+
+	const up = blocks([
+		lines([
+			schema === 'public' ? '' : `await knex.raw('CREATE SCHEMA IF NOT EXISTS "${schema}"');`,
+			...createSchemas.map(otherName => `await knex.raw('CREATE SCHEMA IF NOT EXISTS "${otherName}"');`),
+			...extensions.map(extension => (
+				`await knex.raw('CREATE EXTENSION IF NOT EXISTS "${extension.extension_name}" WITH SCHEMA "${extension.extension_schema}" CASCADE');`
+			)),
+			...userTypes.map(userType => `await knex.raw(\`${escapeTemplate(createUserType(userType))}\`);`),
+		].filter(Boolean)),
+		functions.length ? lines([
+			'// Functions',
+			// bodies of functions can use objects that are created after them
+			"await knex.raw('SET LOCAL check_function_bodies = false');",
+			...functions.map(object => `await ${object.name}.up(knex);`),
+		]) : '',
+		lines(tables.map(table => `await ${table.table_name}.up(knex);`)),
+		deferred.length ? lines([
+			'// Deferred foreign keys',
+			...deferred.map(quoted).map(({tableName, constraint}) => (
+				`await knex.raw(\`${escapeTemplate(addConstraint(tableName, constraint))}\`);`
+			)),
+		]) : '',
+		afterTables.length ? lines([
+			'// Views and triggers',
+			...afterTables.map(object => `await ${object.name}.up(knex);`),
+		]) : '',
+	]);
+
+	const down = blocks([
+		lines(afterTables.slice().reverse().map(object => `await ${object.name}.down(knex);`)),
+		lines(deferred.map(quoted).map(({tableName, constraint}) => (
+			`await knex.raw('${dropForeignKey(tableName, constraint)}');`
+		))),
+		lines(tables.slice().reverse().map(table => `await ${table.table_name}.down(knex);`)),
+		lines(functions.slice().reverse().map(object => `await ${object.name}.down(knex);`)),
+		lines([
+			...userTypes.slice().reverse().map(userType => (
+				`await knex.raw('DROP ${userType.type_kind === 'e' ? 'TYPE' : 'DOMAIN'} IF EXISTS ${quoteTable(userType.type_name, userType.type_schema)}');`
+			)),
+			...extensions.slice().reverse().map(extension => (
+				`await knex.raw('DROP EXTENSION IF EXISTS "${extension.extension_name}"');`
+			)),
+			...typeSchemas.map(typeSchema => `await knex.raw('DROP SCHEMA IF EXISTS "${typeSchema}"');`),
+			schema === 'public' || keepSchema ? '' : `await knex.raw('DROP SCHEMA IF EXISTS "${schema}"');`,
+		].filter(Boolean)),
+	]);
+
+	const requires = tables
+		.map(table => `const ${table.table_name} = require('./${tableFileName(table)}');`)
+		.concat(objects.map(object => `const ${object.name} = require('./${object.file}');`))
+		.join('\n');
+
+	return `\
+${requires ? `${requires}\n\n` : ''}\
+exports.up = async function (knex) {
+${up}
+};
+
+exports.down = async function (knex) {
+${down}
+};
+`;
+}
+
+/**
+ * @returns {Promise<number>} eg. 110005 for 11.5
+ */
+async function getServerVersion() {
+	return Number((await getKnex().raw('SHOW server_version_num')).rows[0].server_version_num);
+}
+
+/**
+ * Tables to generate, sorted by name
+ * Partitions are not included, they are created along with their partitioned table
+ * @param {string[]} schemas
+ * @param {object} options
+ * @param {boolean} [options.partitions=true] include the partitions of partitioned tables
+ * @param {number} options.serverVersion
+ * @returns {Promise<table[]>}
  */
-async function generate() {
-	let tables = await getTables();
-	// We haven't handled partitioned table so will be skipping these
-	tables = (await Promise.all(tables.map(async (table) => {
-		if (await isPartitioned(table.table_name)) return null;
+async function loadTables(schemas, {partitions = true, serverVersion}) {
+	// Declarative partitioning was added in postgres 10
+	const hasDeclarativePartitions = serverVersion >= 100000;
+
+	const tables = await getTables(schemas);
+	return (await Promise.all(tables.map(async (table) => {
+		if (hasDeclarativePartitions) {
+			const partitionInfo = await getPartitionInfo(table.table_name, table.table_schema);
+			// Partitions are created along with the partitioned table
+			if (partitionInfo.is_partition) return null;
+			if (partitionInfo.partition_key) {
+				table.partitionKey = partitionInfo.partition_key;
+				table.partitions = partitions ?
+					await getAllPartitions(table.table_name, table.table_schema) :
+					[];
+				return table;
+			}
+		}
+
+		// We haven't handled partitioning using inheritance so will be skipping these
+		if (await isPartitioned(table.table_name, table.table_schema)) {
+			getLogger().warn(`[knex-utils] Skipping table "${table.table_name}", partitioning using inheritance is not supported`);
+			return null;
+		}
 		return table;
 	})))
 		.filter(Boolean)
@@ -424,75 +1459,379 @@ async function generate() {
 			if (a.table_name === b.table_name) return 0;
 			return a.table_name > b.table_name ? 1 : -1;
 		});
+}
 
-	const tablesDir = path.join(process.cwd(), 'migrations/tables');
-	const migrationFile = path.join(process.cwd(), '/migrations/0_public.js');
+/**
+ * Add the columns, indexes and constraints to the tables, as read from the database
+ * @param {table[]} tables
+ */
+async function describeTables(tables) {
+	await Promise.all(tables.map(async (table) => {
+		table.columnsInfo = await getColumns(table.table_name, table.table_schema);
+		table.indexes = (await getIndexes(table.table_name, table.table_schema)).map((index) => {
+			index.custom = isCustomIndex(index);
+			return index;
+		});
+		table.constraints = await getConstraints(table.table_name, table.table_schema);
+	}));
+}
 
-	// Delete old dir and file
-	await file(tablesDir).rmrf().catch(() => {});
-	await file(migrationFile).rm().catch(() => {});
+/**
+ * @typedef {object} generatedObject
+ * @property {string} kind function, view or trigger
+ * @property {string} schema
+ * @property {string} name name of the variable it is required as
+ * @property {string} file path of the migration relative to the migrations dir, without .js
+ * @property {string} content
+ */
 
-	await file(tablesDir).mkdirp();
+/**
+ * Generate the migrations of the functions, views and triggers
+ * @param {object} objects
+ * @param {functionInfo[]} objects.functions
+ * @param {viewInfo[]} objects.views
+ * @param {triggerInfo[]} objects.triggers
+ * @returns {generatedObject[]} in the order of creation
+ */
+function generateObjects({functions, views, triggers}) {
+	/** @type {generatedObject[]} */
+	const objects = [];
+	const addObject = (kind, schema, name, content) => {
+		objects.push({
+			kind,
+			schema,
+			name: requireName(kind, schema, name),
+			file: objectFileName(`${kind}s`, schema, name),
+			content,
+		});
+	};
 
-	await Promise.all(tables.map(async (table) => {
-		const columnsInfo = await getColumns(table.table_name);
-
-		table.indexes = (await getIndexes(table.table_name)).map((i) => {
-			if (i.indexed_columns.length === 1) {
-				const col = columnsInfo[i.indexed_columns[0].replace(/"/g, '')];
-				if (!col) {
-					if (i.index_type === 'gin') return i;
-					i.error = true;
-					getLogger().warn('Unknown index', table.table_name, i);
-					return i;
-				}
-				i.single = true;
-				col.index = i;
-			}
-			else i.multiple = true;
-			return i;
+	/** @type {Map<string, functionInfo[]>} */
+	const overloads = new Map();
+	functions.forEach((fn) => {
+		const key = `${fn.function_schema}.${fn.function_name}`;
+		if (!overloads.has(key)) overloads.set(key, []);
+		overloads.get(key).push(fn);
+	});
+	overloads.forEach((fns) => {
+		addObject('function', fns[0].function_schema, fns[0].function_name, functionGenerator(fns));
+	});
+
+	sortViews(views).forEach((view) => {
+		addObject('view', view.view_schema, view.view_name, viewGenerator(view));
+	});
+
+	/** @type {Map<string, triggerInfo[]>} */
+	const triggersByTable = new Map();
+	triggers.forEach((trigger) => {
+		const key = `${trigger.table_schema}.${trigger.table_name}`;
+		if (!triggersByTable.has(key)) triggersByTable.set(key, []);
+		triggersByTable.get(key).push(trigger);
+	});
+	triggersByTable.forEach((tableTriggers) => {
+		addObject('trigger', tableTriggers[0].table_schema, tableTriggers[0].table_name, triggersGenerator(tableTriggers));
+	});
+
+	return objects;
+}
+
+/**
+ * @typedef {object} generateOptions
+ * @property {string[]} [schemas] schemas to consolidate, all non-system schemas by default
+ * @property {boolean} [partitions=true] create existing partitions of partitioned tables,
+ *  otherwise only the partitioned table is created
+ */
+
+/**
+ * Read the schemas of the database as a JSON model
+ * @param {generateOptions} [options]
+ * @returns {Promise<import('./schema').schemaModel>}
+ */
+async function dumpSchema({schemas, partitions = true} = {}) {
+	schemas = await resolveSchemas(schemas);
+
+	if (mysql.isMysql()) {
+		const tables = (await mysql.getTables())
+			.filter(table => !tablesToIgnore.includes(table.table_name));
+		await mysql.describeTables(tables);
+		return toModel({dialect: 'mysql', schemas, tables});
+	}
+
+	const serverVersion = await getServerVersion();
+	const tables = await loadTables(schemas, {partitions, serverVersion});
+	await describeTables(tables);
+
+	const views = await getViews(schemas);
+	await Promise.all(views.filter(view => view.is_materialized).map(async (view) => {
+		view.indexes = await getIndexes(view.view_name, view.view_schema);
+	}));
+
+	// triggers of partitions are created by their partitioned table
+	const relations = new Set(tables.map(table => `${table.table_schema}.${table.table_name}`)
+		.concat(views.map(view => `${view.view_schema}.${view.view_name}`)));
+	const triggers = (await getTriggers(schemas))
+		.filter(trigger => relations.has(`${trigger.table_schema}.${trigger.table_name}`));
+
+	return toModel({
+		dialect: 'postgresql',
+		schemas,
+		tables,
+		extensions: await getExtensions(),
+		userTypes: await getUserTypes(schemas),
+		views,
+		functions: await getFunctions(schemas, serverVersion),
+		triggers,
+	});
+}
+
+/**
+ * Generate all the migrations in memory from a JSON model of the database
+ * @param {import('./schema').schemaModel} model
+ * @returns {{[filePath: string]: string}} contents by path relative to the migrations dir
+ */
+function generateFromModel(model) {
+	const {
+		schemas,
+		tables,
+		extensions,
+		userTypes,
+		views,
+		functions,
+		triggers,
+	} = fromModel(model);
+	/** @type {{[filePath: string]: string}} */
+	const files = {};
+
+	const objects = generateObjects({functions, views, triggers});
+	objects.forEach((object) => {
+		files[`${object.file}.js`] = object.content;
+	});
+
+	/** @type {{[schema: string]: {table: table, constraint: constraintInfo}[]}} */
+	const deferredBySchema = {};
+	schemas.forEach((schema) => {
+		deferredBySchema[schema] = [];
+	});
+
+	// Schema migrations run in the order of their file names, so a foreign key
+	// to a schema that runs later is added by that schema's migration
+	tables.forEach((table) => {
+		getForeignKeys(table).forEach((constraint) => {
+			const foreignSchema = constraint.foreign_schema;
+			if (foreignSchema === table.table_schema || !deferredBySchema[foreignSchema]) return;
+			if (`0_${foreignSchema}.js` < `0_${table.table_schema}.js`) return;
+			constraint.deferred = true;
+			deferredBySchema[foreignSchema].push({table, constraint});
+		});
+	});
+
+	const hasMigration = schema => (
+		tables.some(table => table.table_schema === schema) ||
+		objects.some(object => object.kind !== 'function' && object.schema === schema) ||
+		deferredBySchema[schema].length > 0
+	);
+	const migrationOrder = (a, b) => {
+		if (`0_${a}.js` === `0_${b}.js`) return 0;
+		return `0_${a}.js` > `0_${b}.js` ? 1 : -1;
+	};
+	// Extensions, enums, domains and functions are created by the migration that runs first,
+	// so that the tables of every schema can use them
+	const firstSchema = schemas.filter(hasMigration).sort(migrationOrder)[0] ||
+		schemas.slice().sort(migrationOrder)[0];
+	// Views and triggers are created by the migration that runs last,
+	// so that all the tables they use exist
+	const lastSchema = schemas.filter(hasMigration).sort(migrationOrder).pop();
+
+	schemas.forEach((schema) => {
+		const schemaTables = tables.filter(table => table.table_schema === schema);
+		if (!hasMigration(schema) && schema !== firstSchema) return;
+
+		// Tables need to be created after the tables they reference
+		const {sorted, deferred} = sortTables(schemaTables);
+
+		sorted.forEach((table) => {
+			files[`${tableFileName(table)}.js`] = singleTableGenerator(table, table.columnsInfo);
 		});
 
-		const constraints = await getConstraints(table.table_name);
-		table.constraints = {};
-		constraints.forEach((constraint) => {
-			table.constraints[constraint.constraint_name] = constraint;
+		const allDeferred = deferred.concat(deferredBySchema[schema]);
+		files[`0_${schema}.js`] = schemaGenerator(
+			schema,
+			sorted,
+			allDeferred,
+			schema === firstSchema ? userTypes : [],
+			{
+				extensions: schema === firstSchema ? extensions : [],
+				objects: objects.filter(object => (
+					object.kind === 'function' ? schema === firstSchema : schema === lastSchema
+				)),
+				keepSchema: schema !== firstSchema && (
+					userTypes.some(userType => userType.type_schema === schema) ||
+					objects.some(object => object.kind === 'function' && object.schema === schema)
+				),
+			},
+		);
+	});
+
+	return files;
+}
+
+/**
+ * Generate all the migrations in memory
+ * @param {generateOptions} options
+ * @returns {Promise<{[filePath: string]: string}>} contents by path relative to the migrations dir
+ */
+async function generateFiles(options = {}) {
+	return generateFromModel(await dumpSchema(options));
+}
+
+function getMigrationsDir() {
+	return path.join(process.cwd(), 'migrations');
+}
+
+/**
+ * Generated migrations of the schemas that currently exist on disk
+ * @param {string[]} schemas
+ * @returns {Promise<string[]>} paths relative to the migrations dir
+ */
+async function getExistingFiles(schemas) {
+	const migrationsDir = getMigrationsDir();
+	const patterns = [];
+	schemas.forEach((schema) => {
+		patterns.push(`0_${schema}.js`);
+		['tables', 'views', 'functions', 'triggers'].forEach((dir) => {
+			patterns.push(`${objectFileName(dir, schema, '*')}.js`);
 		});
+	});
 
-		const tableMigration = await singleTableGenerator(table, columnsInfo);
-		return file(path.join(process.cwd(), `/migrations/tables/create${table.table_name}.js`)).write(tableMigration);
-	}));
+	const existing = await Promise.all(patterns.map(
+		pattern => file(path.join(migrationsDir, pattern)).glob(),
+	));
+	return [].concat(...existing)
+		.map(filePath => path.relative(migrationsDir, filePath))
+		.sort();
+}
 
-	const indexFile = `\
-${tables.map(table => `const ${table.table_name} = require('./tables/create${table.table_name}');`).join('\n')}
+/**
+ * Write generated migrations to the migrations dir,
+ * replacing the previously generated ones of the schemas
+ * @param {{[filePath: string]: string}} files
+ * @param {string[]} schemas
+ */
+async function writeFiles(files, schemas) {
+	const migrationsDir = getMigrationsDir();
 
-exports.up = async function (knex) {
-	await Promise.all([
-		${tables.map(table => `${table.table_name}.up(knex),`).join('\n\t\t')}
-	]);
-};
+	// Delete old files
+	const existing = await getExistingFiles(schemas);
+	await Promise.all(existing.map(
+		filePath => file(path.join(migrationsDir, filePath)).rm().catch(() => {}),
+	));
 
-exports.down = async function (knex) {
-	await Promise.all([
-		${tables.map(table => `${table.table_name}.down(knex),`).join('\n\t\t')}
-	]);
-};
-`;
-	await file(migrationFile).write(indexFile);
+	await Promise.all(Object.keys(files).map(
+		filePath => file(path.join(migrationsDir, filePath)).write(files[filePath]),
+	));
 }
 
-const main = async () => {
+/**
+ * Generate the migrations and write them to the migrations dir
+ * @param {generateOptions} [options]
+ */
+async function generate(options = {}) {
+	const schemas = await resolveSchemas(options.schemas);
+	const files = await generateFiles({...options, schemas});
+	await writeFiles(files, schemas);
+}
+
+/**
+ * Print the migrations that would be generated, without touching the disk
+ * @param {generateOptions} [options]
+ */
+async function dryRun(options = {}) {
+	const files = await generateFiles(options);
+	Object.keys(files).sort().forEach((filePath) => {
+		getLogger().log(`// migrations/${filePath}\n${files[filePath]}`);
+	});
+}
+
+/**
+ * Write the JSON model of the database to a file, or print it to stdout
+ * @param {generateOptions & {out?: string}} [options]
+ */
+async function dump(options = {}) {
+	const json = `${JSON.stringify(await dumpSchema(options), null, '\t')}\n`;
+	if (options.out) await file(options.out).write(json);
+	else process.stdout.write(json);
+}
+
+/**
+ * Compare the migrations generated from the DB with the ones on disk
+ * and print the differences
+ * @param {generateOptions} [options]
+ * @returns {Promise<boolean>} true if there is no difference
+ */
+async function check(options = {}) {
+	const schemas = await resolveSchemas(options.schemas);
+	const files = await generateFiles({...options, schemas});
+	const migrationsDir = getMigrationsDir();
+	const existing = await getExistingFiles(schemas);
+
+	const filePaths = Array.from(new Set(Object.keys(files).concat(existing))).sort();
+	const different = (await Promise.all(filePaths.map(async (filePath) => {
+		const onDisk = existing.includes(filePath) ?
+			await file(path.join(migrationsDir, filePath)).read() :
+			'';
+		const generated = files[filePath] || '';
+		if (onDisk === generated) return null;
+
+		getLogger().log(createTwoFilesPatch(
+			`migrations/${filePath}`,
+			`migrations/${filePath}`,
+			onDisk,
+			generated,
+			'on disk',
+			'from database',
+		));
+		return filePath;
+	}))).filter(Boolean);
+
+	if (different.length) {
+		getLogger().error(`[knex-utils] ${different.length} generated migration(s) are out of date,` +
+			' run consolidate to update them');
+		return false;
+	}
+	getLogger().info('[knex-utils] Generated migrations are up to date');
+	return true;
+}
+
+/**
+ * @param {generateOptions & {check?: boolean, dryRun?: boolean, verify?: boolean}} [options]
+ */
+const main = async (options = {}) => {
 	const dbName = getKnexFile()[cfg.getEnv()].connection.database;
 
 	getLogger().time(`Consolidated ${dbName} DB`);
-	await generate().catch((err) => {
+	let exitCode = 0;
+	try {
+		if (options.check) {
+			if (!await check(options)) exitCode = 1;
+		}
+		else if (options.dryRun) {
+			await dryRun(options);
+		}
+		else if (options.verify) {
+			// eslint-disable-next-line global-require
+			const {verify} = require('./verify');
+			if (!await verify(options)) exitCode = 1;
+		}
+		else {
+			await generate(options);
+		}
+	}
+	catch (err) {
 		getLogger().error(err);
-		getLogger().timeEnd(`Consolidated ${dbName} DB`);
-		process.exit(1);
-	}).then(() => {
-		getLogger().timeEnd(`Consolidated ${dbName} DB`);
-		process.exit(0);
-	});
+		exitCode = 1;
+	}
+	getLogger().timeEnd(`Consolidated ${dbName} DB`);
+	process.exit(exitCode);
 };
 
 if (require.main === module) {
@@ -502,9 +1841,35 @@ if (require.main === module) {
 module.exports = {
 	main,
 	generate,
+	generateFiles,
+	generateFromModel,
+	dumpSchema,
+	getServerVersion,
+	loadTables,
+	describeTables,
+	sortTables,
+	columnBuilder,
+	createTableBuilder,
+	createIndexSql,
+	quoteTable,
+	quoteSqlString,
+	escapeTemplate,
+	writeFiles,
+	getExistingFiles,
+	getMigrationsDir,
+	resolveSchemas,
+	dryRun,
+	check,
+	dump,
+	getSchemas,
+	getExtensions,
+	getUserTypes,
 	getTables,
 	getColumns,
 	getConstraints,
 	getIndexes,
+	getViews,
+	getFunctions,
+	getTriggers,
 	getType,
 };
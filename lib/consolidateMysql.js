@@ -0,0 +1,348 @@
+const {getKnex} = require('./index');
+
+/**
+ * MySQL / MariaDB introspection for consolidate
+ * Tables of the connected database are described in the same shape as the tables of
+ * the public schema in postgres, so that they are generated the same way
+ */
+
+/**
+ * Actions of foreign keys in information_schema, as codes of pg_constraint
+ * @type {{[rule: string]: string}}
+ */
+const foreignKeyRules = {
+	'NO ACTION': 'a',
+	RESTRICT: 'r',
+	CASCADE: 'c',
+	'SET NULL': 'n',
+	'SET DEFAULT': 'd',
+};
+
+/**
+ * @param {import('knex')} [knex]
+ */
+function isMysql(knex = getKnex()) {
+	return ['mysql', 'mysql2'].includes(knex.client.config.client);
+}
+
+/**
+ * @param {string} str
+ */
+function quoteString(str) {
+	return `'${str.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+const currentDatabase = () => getKnex().raw('DATABASE()');
+
+/**
+ * @returns {Promise<import('./consolidate').table[]>}
+ */
+async function getTables() {
+	return (await getKnex()
+		.from('information_schema.TABLES')
+		.where('TABLE_SCHEMA', currentDatabase())
+		.where('TABLE_TYPE', 'BASE TABLE')
+		.orderBy('TABLE_NAME')
+		.select('TABLE_NAME AS table_name', 'TABLE_COMMENT AS comment')
+	).map(table => ({
+		table_schema: 'public',
+		table_name: table.table_name,
+		table_type: 'BASE TABLE',
+		comment: table.comment || null,
+	}));
+}
+
+/**
+ * Values of an enum from its column type, eg. enum('a','b')
+ * @param {string} columnType
+ */
+function enumValues(columnType) {
+	return (columnType.match(/'((?:[^']|'')*)'/g) || [])
+		.map(value => value.slice(1, -1).replace(/''/g, "'"));
+}
+
+/**
+ * Knex type of a column, with its extra params and modifiers
+ * @param {import('./consolidate').columnInfo} columnInfo
+ * @returns {{type: string, extraParams: (string | number)[], modifiers?: string}}
+ */
+function getType(columnInfo) {
+	const {detailedInfo} = columnInfo;
+	const columnType = detailedInfo.formatted_type.toLowerCase();
+	const modifiers = / unsigned\b/.test(columnType) ? '.unsigned()' : '';
+	const autoIncrement = /auto_increment/i.test(detailedInfo.extra);
+	const precision = detailedInfo.datetime_precision ?
+		[`{precision: ${detailedInfo.datetime_precision}}`] :
+		[];
+
+	switch (detailedInfo.data_type) {
+		case 'tinyint':
+			// knex creates booleans as tinyint(1)
+			if (/^tinyint\(1\)/.test(columnType)) return {type: 'boolean', extraParams: []};
+			return {type: 'tinyint', extraParams: [], modifiers};
+		case 'smallint':
+		case 'mediumint':
+			return {type: detailedInfo.data_type, extraParams: [], modifiers};
+		case 'int':
+			if (autoIncrement) return {type: 'increments', extraParams: []};
+			return {type: 'integer', extraParams: [], modifiers};
+		case 'bigint':
+			if (autoIncrement) return {type: 'bigIncrements', extraParams: []};
+			return {type: 'bigInteger', extraParams: [], modifiers};
+		case 'decimal':
+			return {
+				type: 'decimal',
+				extraParams: [detailedInfo.numeric_precision, detailedInfo.numeric_scale],
+				modifiers,
+			};
+		case 'float':
+			return {type: 'float', extraParams: [], modifiers};
+		case 'double':
+			return {type: 'double', extraParams: [], modifiers};
+		case 'varchar':
+			return {type: 'string', extraParams: [detailedInfo.character_maximum_length]};
+		case 'text':
+			return {type: 'text', extraParams: []};
+		case 'mediumtext':
+		case 'longtext':
+			return {type: 'text', extraParams: [`'${detailedInfo.data_type}'`]};
+		case 'date':
+			return {type: 'date', extraParams: []};
+		case 'datetime':
+		case 'timestamp':
+		case 'time':
+			return {type: detailedInfo.data_type, extraParams: precision};
+		case 'enum':
+			return {
+				type: 'enu',
+				extraParams: [`[${enumValues(detailedInfo.formatted_type).map(quoteString).join(', ')}]`],
+			};
+		case 'json':
+			return {type: 'json', extraParams: []};
+		case 'varbinary':
+			return {type: 'binary', extraParams: [detailedInfo.character_maximum_length]};
+		case 'blob':
+			return {type: 'binary', extraParams: []};
+		default:
+			// knex has no builder for these (char, set, year, bit, geometry...)
+			return {type: 'specificType', extraParams: [quoteString(detailedInfo.formatted_type)]};
+	}
+}
+
+/**
+ * defaultTo of a column
+ * MySQL gives literals without quotes and flags expressions with DEFAULT_GENERATED,
+ * MariaDB quotes literals and gives expressions as they are
+ * @param {import('./consolidate').columnInfo} columnInfo
+ * @param {{type: string}} knexType
+ */
+function defaults(columnInfo, {type}) {
+	const {column_default: value, extra} = columnInfo.detailedInfo;
+	if (value === null || value === 'NULL') return '';
+	if (type === 'increments' || type === 'bigIncrements') return '';
+
+	const onUpdate = /on update (current_timestamp(\(\d*\))?)/i.exec(extra || '');
+	const quoted = /^'([\s\S]*)'$/.exec(value);
+	const isExpression = !quoted && (
+		/^current_timestamp(\(\d*\))?$/i.test(value) ||
+		/DEFAULT_GENERATED/i.test(extra || '') ||
+		/^\w+\(.*\)$/.test(value)
+	);
+
+	if (isExpression) {
+		if (onUpdate) return `.defaultTo(knex.raw('${value} ON UPDATE ${onUpdate[1]}'))`;
+		if (/^current_timestamp(\(\))?$/i.test(value)) return '.defaultTo(knex.fn.now())';
+		if (/^current_timestamp/i.test(value)) return `.defaultTo(knex.raw('${value}'))`;
+		return `.defaultTo(knex.raw(${quoteString(`(${value})`)}))`;
+	}
+
+	const literal = quoted ? quoted[1].replace(/''/g, "'") : value;
+	if (type === 'boolean') return `.defaultTo(${literal !== '0'})`;
+	if (['tinyint', 'smallint', 'mediumint', 'integer', 'bigInteger', 'decimal', 'float', 'double'].includes(type)) {
+		const num = Number(literal);
+		if (!Number.isNaN(num)) return `.defaultTo(${num})`;
+	}
+	return `.defaultTo(${quoteString(literal)})`;
+}
+
+/**
+ * Columns of a table, in the shape of knex's columnInfo with detailedInfo,
+ * along with their knex type and default (knexType and knexDefault)
+ * @param {string} tableName
+ * @returns {Promise<{[column: string]: import('./consolidate').columnInfo}>}
+ */
+async function getColumns(tableName) {
+	const rows = await getKnex()
+		.from('information_schema.COLUMNS')
+		.where('TABLE_SCHEMA', currentDatabase())
+		.where('TABLE_NAME', tableName)
+		.orderBy('ORDINAL_POSITION')
+		.select(
+			'TABLE_NAME AS table_name',
+			'COLUMN_NAME AS column_name',
+			'ORDINAL_POSITION AS ordinal_position',
+			'COLUMN_DEFAULT AS column_default',
+			'IS_NULLABLE AS is_nullable',
+			'DATA_TYPE AS data_type',
+			'COLUMN_TYPE AS formatted_type',
+			'COLUMN_COMMENT AS comment',
+			'CHARACTER_MAXIMUM_LENGTH AS character_maximum_length',
+			'NUMERIC_PRECISION AS numeric_precision',
+			'NUMERIC_SCALE AS numeric_scale',
+			'DATETIME_PRECISION AS datetime_precision',
+			'EXTRA AS extra',
+		);
+
+	const columnsInfo = {};
+	rows.forEach((row) => {
+		const columnInfo = {
+			type: row.data_type.toLowerCase(),
+			maxLength: row.character_maximum_length,
+			nullable: row.is_nullable === 'YES',
+			defaultValue: row.column_default,
+			detailedInfo: {
+				...row,
+				table_schema: 'public',
+				data_type: row.data_type.toLowerCase(),
+				comment: row.comment || null,
+			},
+		};
+		columnInfo.knexType = getType(columnInfo);
+		columnInfo.knexDefault = defaults(columnInfo, columnInfo.knexType);
+		columnsInfo[row.column_name] = columnInfo;
+	});
+	return columnsInfo;
+}
+
+/**
+ * Indexes of a table from SHOW INDEX
+ * @param {string} tableName
+ * @returns {Promise<import('./consolidate').indexInfo[]>}
+ */
+async function getIndexes(tableName) {
+	const [rows] = await getKnex().raw('SHOW INDEX FROM ??', [tableName]);
+	/** @type {Map<string, object[]>} */
+	const byName = new Map();
+	rows.forEach((row) => {
+		if (!byName.has(row.Key_name)) byName.set(row.Key_name, []);
+		byName.get(row.Key_name).push(row);
+	});
+
+	return Array.from(byName.values()).map((parts) => {
+		parts.sort((a, b) => a.Seq_in_index - b.Seq_in_index);
+		const [first] = parts;
+		const isPrimary = first.Key_name === 'PRIMARY';
+		const isUnique = !Number(first.Non_unique);
+		const indexType = first.Index_type.toLowerCase();
+		const isFunctional = parts.some(part => part.Expression);
+		const isPartial = parts.some(part => part.Sub_part !== null);
+		const isDescending = parts.some(part => part.Collation === 'D');
+
+		let kind = '';
+		if (indexType === 'fulltext' || indexType === 'spatial') kind = `${first.Index_type} `;
+		else if (isUnique) kind = 'UNIQUE ';
+		const columns = parts.map((part) => {
+			if (part.Expression) return `(${part.Expression})`;
+			const length = part.Sub_part !== null ? `(${part.Sub_part})` : '';
+			return `\`${part.Column_name}\`${length}${part.Collation === 'D' ? ' DESC' : ''}`;
+		});
+
+		return {
+			// the primary key is always named PRIMARY, use the name knex gives it instead
+			index_name: isPrimary ? `${tableName}_pkey` : first.Key_name,
+			table_name: tableName,
+			indexed_columns: parts.map(part => part.Column_name),
+			is_unique: isUnique,
+			is_primary: isPrimary,
+			index_type: indexType,
+			is_functional: isFunctional,
+			is_partial: isPartial,
+			is_exclusion: false,
+			constraint_type: (isPrimary && 'p') || (isUnique && 'u') || null,
+			index_def: `CREATE ${kind}INDEX \`${first.Key_name}\` ON \`${tableName}\` (${columns.join(', ')})`,
+			custom: !isPrimary && (isFunctional || isPartial || isDescending || indexType !== 'btree'),
+		};
+	});
+}
+
+/**
+ * Foreign keys of a table
+ * @param {string} tableName
+ * @returns {Promise<import('./consolidate').constraintInfo[]>}
+ */
+async function getConstraints(tableName) {
+	const rows = await getKnex()
+		.from('information_schema.KEY_COLUMN_USAGE AS k')
+		.join('information_schema.REFERENTIAL_CONSTRAINTS AS r', function () {
+			this.on('r.CONSTRAINT_SCHEMA', 'k.CONSTRAINT_SCHEMA')
+				.andOn('r.CONSTRAINT_NAME', 'k.CONSTRAINT_NAME');
+		})
+		.where('k.TABLE_SCHEMA', currentDatabase())
+		.where('k.TABLE_NAME', tableName)
+		.whereNotNull('k.REFERENCED_TABLE_NAME')
+		.orderBy(['k.CONSTRAINT_NAME', 'k.ORDINAL_POSITION'])
+		.select(
+			'k.CONSTRAINT_NAME AS constraint_name',
+			'k.COLUMN_NAME AS column_name',
+			'k.REFERENCED_TABLE_SCHEMA AS foreign_schema',
+			'k.REFERENCED_TABLE_NAME AS foreign_table',
+			'k.REFERENCED_COLUMN_NAME AS foreign_column',
+			'r.DELETE_RULE AS delete_rule',
+			'r.UPDATE_RULE AS update_rule',
+			getKnex().raw('DATABASE() AS current_database'),
+		);
+
+	/** @type {Map<string, import('./consolidate').constraintInfo>} */
+	const byName = new Map();
+	rows.forEach((row) => {
+		if (!byName.has(row.constraint_name)) {
+			byName.set(row.constraint_name, {
+				constraint_name: row.constraint_name,
+				constraint_type: 'f',
+				columns: [],
+				foreign_schema: row.foreign_schema === row.current_database ? 'public' : row.foreign_schema,
+				foreign_table: row.foreign_table,
+				foreign_columns: [],
+				on_delete: foreignKeyRules[row.delete_rule],
+				on_update: foreignKeyRules[row.update_rule],
+				delete_rule: row.delete_rule,
+				update_rule: row.update_rule,
+			});
+		}
+		const constraint = byName.get(row.constraint_name);
+		constraint.columns.push(row.column_name);
+		constraint.foreign_columns.push(row.foreign_column);
+	});
+
+	const quoteColumns = columns => columns.map(column => `\`${column}\``).join(', ');
+	return Array.from(byName.values()).map(constraint => ({
+		...constraint,
+		constraint_def: `FOREIGN KEY (${quoteColumns(constraint.columns)})` +
+			` REFERENCES \`${constraint.foreign_table}\` (${quoteColumns(constraint.foreign_columns)})` +
+			` ON DELETE ${constraint.delete_rule} ON UPDATE ${constraint.update_rule}`,
+	}));
+}
+
+/**
+ * Add the columns, indexes and constraints to the tables, as read from the database
+ * @param {import('./consolidate').table[]} tables
+ */
+async function describeTables(tables) {
+	await Promise.all(tables.map(async (table) => {
+		table.columnsInfo = await getColumns(table.table_name);
+		table.indexes = await getIndexes(table.table_name);
+		table.constraints = await getConstraints(table.table_name);
+	}));
+}
+
+module.exports = {
+	isMysql,
+	getTables,
+	getColumns,
+	getIndexes,
+	getConstraints,
+	enumValues,
+	getType,
+	defaults,
+	describeTables,
+};
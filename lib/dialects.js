@@ -0,0 +1,307 @@
+const fs = require('fs');
+const path = require('path');
+const Knex = require('knex');
+
+/**
+ * Creating, dropping and copying databases, by knex client
+ * Adapters get the knex config of the database and the name of the database to work on,
+ * and connect to the server themselves. In sqlite the name of a database is its file
+ */
+
+/**
+ * @typedef {object} dialectAdapter
+ * @property {string} [nameKey='database'] key of the database name in the connection config
+ * @property {string[]} [systemDatabases] databases that can't be dropped or copied for tests
+ * @property {(dbName: string, suffix: string) => string} [withSuffix] name of a copy of a database
+ * @property {(dbConfig: object, dbName: string) => Promise<void>} [create]
+ * @property {(dbConfig: object, dbName: string) => Promise<void>} [drop] drop if exists
+ * @property {(dbConfig: object, dbName: string) => Promise<boolean>} [exists]
+ * @property {(dbConfig: object, dbName: string) => Promise<void>} [terminate]
+ *  close the other connections to the database
+ * @property {(dbConfig: object, fromDb: string, toDb: string) => Promise<void>} [clone]
+ * @property {(dbConfig: object) => Promise<string[]>} [list] databases of the server
+ */
+
+const operations = ['create', 'drop', 'exists', 'terminate', 'clone', 'list'];
+
+/**
+ * Run a function with a knex of a single connection to a database of the server
+ * @param {object} dbConfig
+ * @param {string} [database] undefined to not select a database
+ * @param {(knex: Knex) => Promise<any>} fn
+ */
+async function withServer(dbConfig, database, fn) {
+	const knex = Knex({
+		...dbConfig,
+		connection: {...dbConfig.connection, database},
+		pool: {min: 1, max: 1},
+	});
+	try {
+		return await fn(knex);
+	}
+	finally {
+		await knex.destroy();
+	}
+}
+
+// postgres connects to the database named like the user by default
+const adminDb = 'postgres';
+
+/** @type {dialectAdapter} */
+const pg = {
+	systemDatabases: [adminDb, 'template0', 'template1'],
+
+	create: (dbConfig, dbName) => withServer(dbConfig, adminDb, async (knex) => {
+		await knex.raw('CREATE DATABASE ??', [dbName]);
+	}),
+
+	exists: (dbConfig, dbName) => withServer(dbConfig, adminDb, async (knex) => {
+		const res = await knex.raw('SELECT 1 FROM pg_database WHERE datname = ?', [dbName]);
+		return res.rowCount > 0;
+	}),
+
+	terminate: (dbConfig, dbName) => withServer(dbConfig, adminDb, async (knex) => {
+		await knex.raw(`
+			SELECT pg_terminate_backend(pid)
+			FROM pg_stat_activity
+			WHERE datname = ? AND pid <> pg_backend_pid()
+		`, [dbName]);
+	}),
+
+	drop: (dbConfig, dbName) => withServer(dbConfig, adminDb, async (knex) => {
+		try {
+			// postgres doesn't allow dropping database while other user are connected
+			// so force other users to disconnect
+			await knex.raw('ALTER DATABASE ?? CONNECTION LIMIT 1', [dbName]);
+			await pg.terminate(dbConfig, dbName);
+		}
+		catch (e) {
+			// Ignore errors
+		}
+		await knex.raw('DROP DATABASE IF EXISTS ??', [dbName]);
+	}),
+
+	clone: (dbConfig, fromDb, toDb) => withServer(dbConfig, adminDb, async (knex) => {
+		// a template can't have other connections while it's copied
+		await pg.terminate(dbConfig, fromDb);
+		const user = dbConfig.connection.user;
+		await knex.raw(
+			`CREATE DATABASE ?? WITH TEMPLATE ??${user ? ' OWNER ??' : ''}`,
+			[toDb, fromDb].concat(user ? [user] : []),
+		);
+	}),
+
+	list: dbConfig => withServer(dbConfig, adminDb, async (knex) => {
+		const res = await knex.raw(`
+			SELECT datname FROM pg_database
+			WHERE NOT datistemplate AND datname <> ?
+			ORDER BY datname
+		`, [adminDb]);
+		return res.rows.map(row => row.datname);
+	}),
+};
+
+const mysqlSystemDatabases = ['mysql', 'information_schema', 'performance_schema', 'sys'];
+
+/** @type {dialectAdapter} */
+const mysql = {
+	systemDatabases: mysqlSystemDatabases,
+
+	create: (dbConfig, dbName) => withServer(dbConfig, undefined, async (knex) => {
+		await knex.raw('CREATE DATABASE ??', [dbName]);
+	}),
+
+	exists: (dbConfig, dbName) => withServer(dbConfig, undefined, async (knex) => {
+		const [rows] = await knex.raw(
+			'SELECT 1 FROM information_schema.SCHEMATA WHERE SCHEMA_NAME = ?',
+			[dbName],
+		);
+		return rows.length > 0;
+	}),
+
+	terminate: (dbConfig, dbName) => withServer(dbConfig, undefined, async (knex) => {
+		const [rows] = await knex.raw(
+			'SELECT ID AS id FROM information_schema.PROCESSLIST WHERE DB = ? AND ID <> CONNECTION_ID()',
+			[dbName],
+		);
+		for (const {id} of rows) {
+			// the connection may have closed since
+			// eslint-disable-next-line no-await-in-loop
+			await knex.raw('KILL ?', [id]).catch(() => {});
+		}
+	}),
+
+	drop: (dbConfig, dbName) => withServer(dbConfig, undefined, async (knex) => {
+		await knex.raw('DROP DATABASE IF EXISTS ??', [dbName]);
+	}),
+
+	// mysql can't copy a database, so the tables are created from their definition and filled
+	// views, routines and triggers are not copied
+	clone: (dbConfig, fromDb, toDb) => withServer(dbConfig, undefined, async (knex) => {
+		const [tables] = await knex.raw(`
+			SELECT TABLE_NAME AS name FROM information_schema.TABLES
+			WHERE TABLE_SCHEMA = ? AND TABLE_TYPE = 'BASE TABLE'
+		`, [fromDb]);
+		// generated columns can't be inserted
+		const [columns] = await knex.raw(`
+			SELECT TABLE_NAME AS \`table\`, COLUMN_NAME AS \`column\` FROM information_schema.COLUMNS
+			WHERE TABLE_SCHEMA = ? AND EXTRA NOT IN ('VIRTUAL GENERATED', 'STORED GENERATED')
+			ORDER BY TABLE_NAME, ORDINAL_POSITION
+		`, [fromDb]);
+		await knex.raw('CREATE DATABASE ??', [toDb]);
+		try {
+			// the pool has a single connection, so these stay for the queries after them
+			await knex.raw('USE ??', [toDb]);
+			await knex.raw('SET FOREIGN_KEY_CHECKS = 0');
+			for (const {name} of tables) {
+				// eslint-disable-next-line no-await-in-loop
+				const [[definition]] = await knex.raw('SHOW CREATE TABLE ??', [`${fromDb}.${name}`]);
+				// eslint-disable-next-line no-await-in-loop
+				await knex.raw(definition['Create Table']);
+				const names = columns.filter(col => col.table === name).map(col => col.column);
+				// eslint-disable-next-line no-await-in-loop
+				await knex.raw('INSERT INTO ?? (??) SELECT ?? FROM ??', [name, names, names, `${fromDb}.${name}`]);
+			}
+		}
+		catch (err) {
+			// don't leave a partial copy
+			await knex.raw('DROP DATABASE IF EXISTS ??', [toDb]);
+			throw err;
+		}
+		finally {
+			await knex.raw('SET FOREIGN_KEY_CHECKS = 1');
+		}
+	}),
+
+	list: dbConfig => withServer(dbConfig, undefined, async (knex) => {
+		const [rows] = await knex.raw('SHOW DATABASES');
+		return rows
+			.map(row => row.Database)
+			.filter(name => !mysqlSystemDatabases.includes(name));
+	}),
+};
+
+/**
+ * @param {string} file
+ */
+function assertFile(file) {
+	if (!file || file === ':memory:') {
+		throw new Error(`sqlite database "${file}" is not a file`);
+	}
+}
+
+/**
+ * @param {string} file
+ */
+async function fileExists(file) {
+	try {
+		await fs.promises.access(file);
+		return true;
+	}
+	catch (err) {
+		return false;
+	}
+}
+
+/** @type {dialectAdapter} */
+const sqlite = {
+	nameKey: 'filename',
+
+	// data.sqlite3 -> data_copy_x.sqlite3
+	withSuffix: (file, suffix) => {
+		const ext = path.extname(file);
+		return `${file.slice(0, file.length - ext.length)}_${suffix}${ext}`;
+	},
+
+	// an empty file is an empty database
+	create: async (dbConfig, file) => {
+		assertFile(file);
+		await fs.promises.mkdir(path.dirname(path.resolve(file)), {recursive: true});
+		await fs.promises.writeFile(file, '', {flag: 'wx'});
+	},
+
+	exists: async (dbConfig, file) => {
+		assertFile(file);
+		return fileExists(file);
+	},
+
+	drop: async (dbConfig, file) => {
+		assertFile(file);
+		for (const suffix of ['', '-journal', '-wal', '-shm']) {
+			// eslint-disable-next-line no-await-in-loop
+			if (await fileExists(`${file}${suffix}`)) await fs.promises.unlink(`${file}${suffix}`);
+		}
+	},
+
+	clone: async (dbConfig, fromFile, toFile) => {
+		assertFile(fromFile);
+		assertFile(toFile);
+		await fs.promises.mkdir(path.dirname(path.resolve(toFile)), {recursive: true});
+		await fs.promises.copyFile(fromFile, toFile, fs.constants.COPYFILE_EXCL);
+	},
+};
+
+/** @type {{[client: string]: dialectAdapter}} */
+const adapters = {
+	pg,
+	postgres: pg,
+	postgresql: pg,
+	mysql,
+	mysql2: mysql,
+	sqlite3: sqlite,
+	sqlite,
+};
+
+/**
+ * Add or replace the adapter of knex clients
+ * @param {string | string[]} clients
+ * @param {dialectAdapter} adapter
+ */
+function registerDialect(clients, adapter) {
+	[].concat(clients).forEach((client) => {
+		adapters[client] = adapter;
+	});
+}
+
+/**
+ * Whether the client of a knex config has an adapter
+ * @param {{client: string}} dbConfig
+ */
+function hasDialect(dbConfig) {
+	return typeof dbConfig.client === 'string' && Boolean(adapters[dbConfig.client]);
+}
+
+/**
+ * Adapter of the client of a knex config, with all operations
+ * operations the adapter doesn't have throw
+ * @param {{client: string}} dbConfig
+ * @returns {Required<dialectAdapter> & {client: string}}
+ */
+function getDialect(dbConfig) {
+	const client = dbConfig.client;
+	if (!hasDialect(dbConfig)) {
+		throw new Error(`No database adapter for the knex client ${client}, add one with registerDialect`);
+	}
+
+	const adapter = adapters[client];
+	const dialect = {
+		nameKey: 'database',
+		systemDatabases: [],
+		withSuffix: (dbName, suffix) => `${dbName}_${suffix}`,
+		...adapter,
+		client,
+	};
+	operations.forEach((operation) => {
+		if (adapter[operation]) return;
+		dialect[operation] = async () => {
+			throw new Error(`${operation} database is not supported with the knex client ${client}`);
+		};
+	});
+	return dialect;
+}
+
+module.exports = {
+	registerDialect,
+	hasDialect,
+	getDialect,
+};
@@ -0,0 +1,382 @@
+const path = require('path');
+const Knex = require('knex');
+const {file} = require('sm-utils');
+const {
+	getKnex,
+	setKnex,
+	getKnexFile,
+	getLogger,
+} = require('./index');
+const {
+	dumpSchema,
+	sortTables,
+	columnBuilder,
+	createTableBuilder,
+	createIndexSql,
+	quoteTable,
+	quoteSqlString,
+	escapeTemplate,
+	getMigrationsDir,
+	getSchemas,
+} = require('./consolidate');
+const {fromModel} = require('./schema');
+
+/**
+ * @typedef {import('./consolidate').table & {
+ * 	columnsInfo: {[column: string]: import('./consolidate').columnInfo},
+ * 	indexes: import('./consolidate').indexInfo[],
+ * 	constraints: {[constraint: string]: import('./consolidate').constraintInfo},
+ * 	partitionKey?: string,
+ * 	partitions?: object[],
+ * }} describedTable
+ */
+
+/**
+ * @typedef {object} dbDescription
+ * @property {string[]} schemas schemas that exist in the database
+ * @property {describedTable[]} tables
+ */
+
+/**
+ * Describe the tables of a database
+ * @param {import('knex')} knex
+ * @param {string[]} [schemas] all non-system schemas if not given
+ * @returns {Promise<dbDescription>}
+ */
+async function describeDb(knex, schemas) {
+	setKnex(knex);
+	const existing = await getSchemas();
+	const dbSchemas = schemas && schemas.length ?
+		existing.filter(schema => schemas.includes(schema)) :
+		existing;
+
+	if (!dbSchemas.length) return {schemas: [], tables: []};
+
+	const {tables} = fromModel(await dumpSchema({schemas: dbSchemas}));
+	return {schemas: dbSchemas, tables};
+}
+
+const tableKey = table => `${table.table_schema}.${table.table_name}`;
+const withSchema = schema => (schema === 'public' ? '' : `.withSchema('${schema}')`);
+const raw = sql => `\tawait knex.raw(\`${escapeTemplate(sql)}\`);`;
+
+/**
+ * @param {describedTable} table
+ * @param {string[]} lines calls on the table builder
+ */
+function alterTable(table, lines) {
+	return `\
+	await knex.schema${withSchema(table.table_schema)}
+		.alterTable('${table.table_name}', (table) => {
+${lines.map(line => `\t\t\t${line};`).join('\n')}
+		});`;
+}
+
+/**
+ * @param {object} partition row of getAllPartitions
+ */
+function createPartition(partition) {
+	const partitionBy = partition.partition_key ? ` PARTITION BY ${partition.partition_key}` : '';
+	return raw(`CREATE TABLE ${quoteTable(partition.table_name, partition.table_schema)}` +
+		` PARTITION OF ${quoteTable(partition.parent_name, partition.parent_schema)}` +
+		` ${partition.partition_bound}${partitionBy}`);
+}
+
+/**
+ * @param {describedTable} table
+ */
+function createTable(table) {
+	const builder = createTableBuilder(table, table.columnsInfo);
+	if (!table.partitionKey) return `\tawait ${builder};`;
+
+	// knex can't create partitioned tables, same as the consolidated migrations
+	return [`\
+	{
+		const queries = ${builder.replace(/\n/g, '\n\t')}
+			.toSQL();
+
+		const createQuery = queries.find(query => /^create table/i.test(query.sql));
+		createQuery.sql += \` PARTITION BY ${escapeTemplate(table.partitionKey)}\`;
+		for (const query of queries) {
+			await knex.raw(query.sql, query.bindings);
+		}
+	}`, ...table.partitions.map(createPartition)].join('\n');
+}
+
+/**
+ * @param {import('./consolidate').columnInfo} columnInfo
+ */
+function columnSignature(columnInfo) {
+	return JSON.stringify([
+		columnInfo.detailedInfo.formatted_type,
+		columnInfo.defaultValue,
+		columnInfo.nullable,
+		columnInfo.detailedInfo.comment,
+	]);
+}
+
+/**
+ * Items of before that don't exist in after, or are defined differently
+ * @template T
+ * @param {{[name: string]: T}} before
+ * @param {{[name: string]: T}} after
+ * @param {(item: T) => string} definition
+ * @returns {T[]}
+ */
+function changed(before, after, definition) {
+	return Object.keys(before)
+		.filter(name => !(name in after) || definition(before[name]) !== definition(after[name]))
+		.map(name => before[name]);
+}
+
+/**
+ * @param {import('./consolidate').indexInfo[]} indexes
+ * @returns {{[name: string]: import('./consolidate').indexInfo}}
+ */
+function indexesByName(indexes) {
+	const result = {};
+	// indexes of exclusion constraints are handled along with the constraint
+	indexes.filter(index => !index.is_exclusion).forEach((index) => {
+		result[index.index_name] = index;
+	});
+	return result;
+}
+
+/**
+ * @param {object[]} partitions
+ */
+function partitionsByName(partitions) {
+	const result = {};
+	(partitions || []).forEach((partition) => {
+		result[`${partition.table_schema}.${partition.table_name}`] = partition;
+	});
+	return result;
+}
+
+/**
+ * Statements of a migration that turns the database described by from into to
+ * Foreign keys and the constraints are dropped first and added last, so that
+ * they never depend on something that doesn't exist yet (or anymore)
+ * @param {dbDescription} from
+ * @param {dbDescription} to
+ * @returns {string[]}
+ */
+function changes(from, to) {
+	const fromTables = new Map(from.tables.map(table => [tableKey(table), table]));
+	const toTables = new Map(to.tables.map(table => [tableKey(table), table]));
+	const dropped = from.tables.filter(table => !toTables.has(tableKey(table)));
+	const created = to.tables.filter(table => !fromTables.has(tableKey(table)));
+	const common = to.tables
+		.filter(table => fromTables.has(tableKey(table)))
+		.map(table => ({before: fromTables.get(tableKey(table)), after: table}));
+
+	const isForeignKey = constraint => constraint.constraint_type === 'f';
+	const constraintDef = constraint => constraint.constraint_def;
+	const indexDef = index => index.index_def;
+	const partitionDef = partition => `${partition.partition_bound} ${partition.partition_key}`;
+	const dropConstraint = (table, name) => (
+		raw(`ALTER TABLE ${quoteTable(table.table_name, table.table_schema)} DROP CONSTRAINT IF EXISTS "${name}"`)
+	);
+
+	/** @type {string[]} */
+	const statements = [];
+
+	to.schemas
+		.filter(schema => schema !== 'public' && !from.schemas.includes(schema))
+		.forEach(schema => statements.push(raw(`CREATE SCHEMA IF NOT EXISTS "${schema}"`)));
+
+	// Drop the constraints and indexes that are removed or changed
+	const droppedConstraints = [].concat(...common.map(({before, after}) => (
+		changed(before.constraints, after.constraints, constraintDef)
+			.map(constraint => ({table: before, constraint}))
+	)));
+	droppedConstraints
+		.filter(({constraint}) => isForeignKey(constraint))
+		.concat(droppedConstraints.filter(({constraint}) => !isForeignKey(constraint)))
+		.forEach(({table, constraint}) => {
+			statements.push(dropConstraint(table, constraint.constraint_name));
+		});
+
+	common.forEach(({before, after}) => {
+		const beforeIndexes = indexesByName(before.indexes);
+		changed(beforeIndexes, indexesByName(after.indexes), indexDef).forEach((index) => {
+			if (index.constraint_type) {
+				statements.push(dropConstraint(before, index.index_name));
+			}
+			else {
+				statements.push(raw(`DROP INDEX IF EXISTS ${quoteTable(index.index_name, before.table_schema)}`));
+			}
+		});
+
+		changed(partitionsByName(before.partitions), partitionsByName(after.partitions), partitionDef)
+			.forEach((partition) => {
+				statements.push(raw(`DROP TABLE IF EXISTS ${quoteTable(partition.table_name, partition.table_schema)}`));
+			});
+	});
+
+	// Drop tables before the tables they reference
+	const droppedSorted = sortTables(dropped);
+	droppedSorted.deferred.forEach(({table, constraint}) => {
+		statements.push(dropConstraint(table, constraint.constraint_name));
+	});
+	droppedSorted.sorted.reverse().forEach((table) => {
+		statements.push(`\tawait knex.schema${withSchema(table.table_schema)}.dropTableIfExists('${table.table_name}');`);
+	});
+
+	// Create tables after the tables they reference
+	const createdSorted = sortTables(created);
+	createdSorted.sorted.forEach(table => statements.push(createTable(table)));
+	createdSorted.deferred.forEach(({table, constraint}) => {
+		statements.push(raw(`ALTER TABLE ${quoteTable(table.table_name, table.table_schema)}` +
+			` ADD CONSTRAINT "${constraint.constraint_name}" ${constraint.constraint_def}`));
+	});
+
+	common.forEach(({before, after}) => {
+		const lines = [];
+		Object.keys(before.columnsInfo)
+			.filter(columnName => !(columnName in after.columnsInfo))
+			.forEach(columnName => lines.push(`table.dropColumn('${columnName}')`));
+
+		Object.keys(after.columnsInfo).forEach((columnName) => {
+			const columnInfo = after.columnsInfo[columnName];
+			const beforeInfo = before.columnsInfo[columnName];
+			if (beforeInfo && columnSignature(beforeInfo) === columnSignature(columnInfo)) return;
+
+			// indexes are compared separately
+			const column = columnBuilder(after, columnName, {...columnInfo, index: undefined});
+			lines.push(beforeInfo ? `${column}.alter()` : column);
+		});
+
+		if ((before.comment || null) !== (after.comment || null)) {
+			const tableName = quoteTable(after.table_name, after.table_schema);
+			statements.push(raw(`COMMENT ON TABLE ${tableName} IS ${after.comment ? quoteSqlString(after.comment) : 'NULL'}`));
+		}
+		if (lines.length) statements.push(alterTable(after, lines));
+
+		changed(partitionsByName(after.partitions), partitionsByName(before.partitions), partitionDef)
+			.forEach(partition => statements.push(createPartition(partition)));
+	});
+
+	// Add the constraints and indexes that are new or changed
+	common.forEach(({before, after}) => {
+		const tableName = quoteTable(after.table_name, after.table_schema);
+		const afterIndexes = indexesByName(after.indexes);
+		changed(afterIndexes, indexesByName(before.indexes), indexDef).forEach((index) => {
+			statements.push(raw(createIndexSql(index)));
+			if (index.constraint_type) {
+				const constraintType = index.constraint_type === 'p' ? 'PRIMARY KEY' : 'UNIQUE';
+				statements.push(raw(`ALTER TABLE ${tableName}` +
+					` ADD CONSTRAINT "${index.index_name}" ${constraintType} USING INDEX "${index.index_name}"`));
+			}
+		});
+	});
+
+	const addedConstraints = [].concat(...common.map(({before, after}) => (
+		changed(after.constraints, before.constraints, constraintDef)
+			// enum checks are created by the column
+			.filter(constraint => !constraint.done)
+			.map(constraint => ({table: after, constraint}))
+	)));
+	addedConstraints
+		.filter(({constraint}) => !isForeignKey(constraint))
+		.concat(addedConstraints.filter(({constraint}) => isForeignKey(constraint)))
+		.forEach(({table, constraint}) => {
+			statements.push(raw(`ALTER TABLE ${quoteTable(table.table_name, table.table_schema)}` +
+				` ADD CONSTRAINT "${constraint.constraint_name}" ${constraint.constraint_def}`));
+		});
+
+	from.schemas
+		.filter(schema => schema !== 'public' && !to.schemas.includes(schema))
+		.forEach(schema => statements.push(raw(`DROP SCHEMA IF EXISTS "${schema}"`)));
+
+	return statements;
+}
+
+/**
+ * Timestamp used by knex in the names of migrations
+ */
+function migrationTimestamp() {
+	const date = new Date();
+	const pad = num => String(num).padStart(2, '0');
+	return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+		`${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Generate a migration that turns the database of targetEnv into the one of sourceEnv
+ * Enums, domains, extensions, views, functions and triggers are not compared
+ * @param {string} sourceEnv environment of the knexfile having the desired schema
+ * @param {string} targetEnv environment of the knexfile to migrate
+ * @param {object} [options]
+ * @param {string[]} [options.schemas] schemas to compare, all non-system schemas by default
+ * @param {string} [options.name] name of the migration
+ * @param {boolean} [options.dryRun] print the migration instead of writing it
+ * @returns {Promise<string | null>} path of the created migration, null if there is no difference
+ */
+async function diff(sourceEnv, targetEnv, {schemas, name = 'diff', dryRun = false} = {}) {
+	const knexfile = getKnexFile();
+	[sourceEnv, targetEnv].forEach((env) => {
+		if (!knexfile[env]) throw new Error(`Environment ${env} not found in knexfile`);
+		// the databases are described with the postgres catalogs and the migration is postgres sql
+		if (knexfile[env].client !== 'pg') {
+			throw new Error(`diff only works with postgres, ${env} uses ${knexfile[env].client}`);
+		}
+	});
+
+	// describing the databases replaces the global knex, it's restored after
+	// only both environments are needed, the knexfile may have none for NODE_ENV
+	let knex;
+	try {
+		knex = getKnex();
+	}
+	catch (err) {
+		knex = undefined;
+	}
+	const sourceKnex = Knex(knexfile[sourceEnv]);
+	const targetKnex = Knex(knexfile[targetEnv]);
+	let source;
+	let target;
+	try {
+		source = await describeDb(sourceKnex, schemas);
+		target = await describeDb(targetKnex, schemas);
+	}
+	finally {
+		setKnex(knex);
+		await sourceKnex.destroy();
+		await targetKnex.destroy();
+	}
+
+	// generating changes marks constraints as done or deferred, so each direction gets its own copy
+	const copy = description => JSON.parse(JSON.stringify(description));
+	const up = changes(copy(target), copy(source));
+	if (!up.length) {
+		getLogger().info(`[knex-utils] No differences between ${sourceEnv} and ${targetEnv}`);
+		return null;
+	}
+	const down = changes(copy(source), copy(target));
+
+	const migration = `\
+exports.up = async function (knex) {
+${up.join('\n')}
+};
+
+exports.down = async function (knex) {
+${down.join('\n')}
+};
+`;
+
+	if (dryRun) {
+		getLogger().log(migration);
+		return null;
+	}
+
+	const filePath = path.join(getMigrationsDir(), `${migrationTimestamp()}_${name}.js`);
+	await file(filePath).write(migration);
+	getLogger().info(`[knex-utils] Created migration ${path.relative(process.cwd(), filePath)}`);
+	return filePath;
+}
+
+module.exports = {
+	diff,
+	changes,
+};
@@ -0,0 +1,312 @@
+const {file} = require('sm-utils');
+const {getLogger} = require('./index');
+const {dumpSchema} = require('./consolidate');
+
+/**
+ * Entity relationship diagrams of the tables, from the JSON model of the database
+ */
+
+const formats = ['mermaid', 'dot', 'plantuml'];
+const columnModes = ['all', 'keys', 'none'];
+
+/**
+ * @typedef {object} entityColumn
+ * @property {string} name
+ * @property {string} type
+ * @property {boolean} nullable
+ * @property {boolean} primary
+ * @property {boolean} foreign
+ * @property {boolean} unique
+ * @property {string | null} comment
+ */
+
+/**
+ * @typedef {object} entity
+ * @property {string} key schema.name
+ * @property {string} name name shown in the diagram, the schema is added if it's not public
+ * @property {string | null} comment
+ * @property {entityColumn[]} columns
+ */
+
+/**
+ * @typedef {object} relation
+ * @property {string} name name of the foreign key
+ * @property {string} from key of the referencing table
+ * @property {string} to key of the referenced table
+ * @property {boolean} optional the foreign key is nullable, so a row may have no parent
+ * @property {boolean} single the foreign key is unique, so a parent has at most one row
+ */
+
+/**
+ * @param {string} pattern comma separated patterns, * matches anything
+ * @returns {RegExp}
+ */
+function patternRegex(pattern) {
+	const alternatives = pattern.split(',').map(part => part.trim()).filter(Boolean).map(part => (
+		part.split('*').map(str => str.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')
+	));
+	return new RegExp(`^(${alternatives.join('|')})$`);
+}
+
+/**
+ * @param {import('./schema').tableModel} table
+ */
+function tableKey(table) {
+	return `${table.schema}.${table.name}`;
+}
+
+/**
+ * Tables and foreign keys to draw
+ * @param {import('./schema').schemaModel} model
+ * @param {object} options
+ * @param {string} [options.tables] comma separated patterns of table names,
+ *  matched against name and schema.name
+ * @param {'all' | 'keys' | 'none'} [options.columns='all'] all columns,
+ *  only primary and foreign keys, or no columns
+ * @returns {{entities: entity[], relations: relation[]}}
+ */
+function entities(model, {tables, columns = 'all'} = {}) {
+	const regex = tables ? patternRegex(tables) : null;
+	const selected = model.tables.filter(table => (
+		!regex || regex.test(table.name) || regex.test(tableKey(table))
+	));
+	const keys = new Set(selected.map(tableKey));
+
+	/** @type {relation[]} */
+	const relations = [];
+	const result = selected.map((table) => {
+		const primaryKey = table.indexes.find(index => index.primary);
+		const primaryColumns = primaryKey ? primaryKey.columns : [];
+		const uniqueSets = table.indexes
+			.filter(index => index.unique && !index.partial && !index.functional)
+			.map(index => index.columns.slice().sort().join(','));
+		const foreignKeys = table.constraints.filter(constraint => constraint.type === 'foreign key');
+		const foreignColumns = new Set([].concat(...foreignKeys.map(constraint => constraint.columns)));
+		const nullableColumns = new Set(table.columns
+			.filter(column => column.nullable)
+			.map(column => column.name));
+
+		foreignKeys.forEach((constraint) => {
+			const to = `${constraint.references.schema}.${constraint.references.table}`;
+			// references to tables not in the diagram are not drawn
+			if (!keys.has(to)) return;
+			relations.push({
+				name: constraint.name,
+				from: tableKey(table),
+				to,
+				optional: constraint.columns.some(columnName => nullableColumns.has(columnName)),
+				single: uniqueSets.includes(constraint.columns.slice().sort().join(',')),
+			});
+		});
+
+		return {
+			key: tableKey(table),
+			name: table.schema === 'public' ? table.name : tableKey(table),
+			comment: table.comment,
+			columns: table.columns.map(column => ({
+				name: column.name,
+				type: column.type,
+				nullable: column.nullable,
+				primary: primaryColumns.includes(column.name),
+				foreign: foreignColumns.has(column.name),
+				unique: uniqueSets.includes(column.name),
+				comment: column.comment,
+			})).filter((column) => {
+				if (columns === 'none') return false;
+				if (columns === 'keys') return column.primary || column.foreign;
+				return true;
+			}),
+		};
+	});
+
+	return {entities: result, relations};
+}
+
+/**
+ * @param {string} str
+ */
+function oneLine(str) {
+	return str.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @param {{entities: entity[], relations: relation[]}} diagram
+ */
+function mermaid({entities: tables, relations}) {
+	// mermaid only allows words in names and types
+	const name = key => key.replace(/[^\w-]/g, '_');
+	const names = {};
+	tables.forEach((table) => {
+		names[table.key] = name(table.name);
+	});
+
+	const lines = ['erDiagram'];
+	tables.forEach((table) => {
+		if (!table.columns.length) {
+			lines.push(`\t${names[table.key]}`);
+			return;
+		}
+		lines.push(`\t${names[table.key]} {`);
+		table.columns.forEach((column) => {
+			const keys = [
+				column.primary ? 'PK' : '',
+				column.foreign ? 'FK' : '',
+				column.unique && !column.primary ? 'UK' : '',
+			].filter(Boolean).join(', ');
+			const comment = column.comment ? ` "${oneLine(column.comment).replace(/"/g, "'")}"` : '';
+			lines.push(`\t\t${column.type.replace(/[^\w()[\]-]/g, '_')} ${name(column.name)}` +
+				`${keys ? ` ${keys}` : ''}${comment}`);
+		});
+		lines.push('\t}');
+	});
+	relations.forEach((relation) => {
+		lines.push(`\t${names[relation.to]} ${relation.optional ? '|o' : '||'}--` +
+			`${relation.single ? 'o|' : 'o{'} ${names[relation.from]} : "${relation.name}"`);
+	});
+
+	return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {string} str
+ */
+function escapeHtml(str) {
+	return str
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {{entities: entity[], relations: relation[]}} diagram
+ */
+function dot({entities: tables, relations}) {
+	const quote = str => `"${str.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+	const lines = [
+		'digraph erd {',
+		'\tgraph [rankdir=LR];',
+		'\tnode [shape=plain, fontname="Helvetica"];',
+		'\tedge [arrowhead=crow, arrowtail=none, dir=both];',
+		'',
+	];
+	tables.forEach((table) => {
+		const rows = table.columns.map((column) => {
+			const keys = [column.primary ? 'PK' : '', column.foreign ? 'FK' : ''].filter(Boolean).join(', ');
+			const columnName = column.primary ?
+				`<b>${escapeHtml(column.name)}</b>` :
+				escapeHtml(column.name);
+			return `\t\t<tr><td align="left" port=${quote(column.name)}>${columnName}</td>` +
+				`<td align="left">${escapeHtml(column.type)}${column.nullable ? '' : ' NOT NULL'}</td>` +
+				`<td>${keys}</td></tr>`;
+		});
+		const tooltip = table.comment ? ` tooltip=${quote(oneLine(table.comment))}` : '';
+		lines.push(`\t${quote(table.key)} [label=<`);
+		lines.push('\t\t<table border="0" cellborder="1" cellspacing="0">');
+		lines.push(`\t\t<tr><td colspan="3" bgcolor="lightgrey"><b>${escapeHtml(table.name)}</b></td></tr>`);
+		lines.push(...rows);
+		lines.push(`\t\t</table>\n\t>${tooltip}];`);
+	});
+	if (relations.length) lines.push('');
+	relations.forEach((relation) => {
+		// the crow is drawn at the referencing table
+		lines.push(`\t${quote(relation.to)} -> ${quote(relation.from)} [label=${quote(relation.name)}` +
+			`${relation.single ? ', arrowhead=tee' : ''}${relation.optional ? ', arrowtail=odot' : ''}];`);
+	});
+	lines.push('}');
+
+	return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {{entities: entity[], relations: relation[]}} diagram
+ */
+function plantuml({entities: tables, relations}) {
+	const alias = key => key.replace(/\W/g, '_');
+
+	const lines = ['@startuml', 'hide circle', 'skinparam linetype ortho', ''];
+	tables.forEach((table) => {
+		lines.push(`entity "${table.name}" as ${alias(table.key)} {`);
+		const primary = table.columns.filter(column => column.primary);
+		const others = table.columns.filter(column => !column.primary);
+		const columnLine = (column) => {
+			const keys = [column.primary ? '<<PK>>' : '', column.foreign ? '<<FK>>' : ''].filter(Boolean).join(' ');
+			return `\t${column.nullable ? '' : '* '}${column.name} : ${column.type}${keys ? ` ${keys}` : ''}`;
+		};
+		lines.push(...primary.map(columnLine));
+		if (primary.length && others.length) lines.push('\t--');
+		lines.push(...others.map(columnLine));
+		lines.push('}');
+		if (table.comment) {
+			lines.push(`note top of ${alias(table.key)} : ${oneLine(table.comment)}`);
+		}
+		lines.push('');
+	});
+	relations.forEach((relation) => {
+		lines.push(`${alias(relation.to)} ${relation.optional ? '|o' : '||'}--` +
+			`${relation.single ? 'o|' : 'o{'} ${alias(relation.from)} : ${relation.name}`);
+	});
+	lines.push('@enduml');
+
+	return `${lines.join('\n')}\n`;
+}
+
+const generators = {mermaid, dot, plantuml};
+
+/**
+ * @param {{format?: string, columns?: string}} options
+ */
+function checkOptions({format = 'mermaid', columns = 'all'}) {
+	if (!formats.includes(format)) {
+		throw new Error(`Unknown format "${format}", expected ${formats.join(', ')}`);
+	}
+	if (!columnModes.includes(columns)) {
+		throw new Error(`Unknown columns "${columns}", expected ${columnModes.join(', ')}`);
+	}
+}
+
+/**
+ * Generate the diagram of a JSON model of the database
+ * @param {import('./schema').schemaModel} model
+ * @param {object} [options]
+ * @param {'mermaid' | 'dot' | 'plantuml'} [options.format='mermaid']
+ * @param {string} [options.tables] comma separated patterns of the tables to draw
+ * @param {'all' | 'keys' | 'none'} [options.columns='all']
+ * @returns {string}
+ */
+function generateErd(model, {format = 'mermaid', tables, columns = 'all'} = {}) {
+	checkOptions({format, columns});
+	return generators[format](entities(model, {tables, columns}));
+}
+
+/**
+ * @typedef {object} erdOptions
+ * @property {string[]} [schemas] all non-system schemas by default
+ * @property {'mermaid' | 'dot' | 'plantuml'} [format='mermaid']
+ * @property {string} [tables] comma separated patterns of table names, eg. user*,orders
+ * @property {'all' | 'keys' | 'none'} [columns='all'] columns to show
+ * @property {string} [out] file to write to, stdout if not given
+ */
+
+/**
+ * Generate the entity relationship diagram of the tables of the database
+ * @param {erdOptions} [options]
+ */
+async function erd({out, schemas, ...options} = {}) {
+	checkOptions(options);
+	const model = await dumpSchema({schemas, partitions: false});
+	const contents = generateErd(model, options);
+
+	if (!out) {
+		process.stdout.write(contents);
+		return;
+	}
+	await file(out).write(contents);
+	getLogger().info(`[knex-utils] Wrote the diagram to ${out}`);
+}
+
+module.exports = {
+	erd,
+	generateErd,
+};
@@ -0,0 +1,339 @@
+const fs = require('fs');
+const path = require('path');
+const {getKnex, getLogger, getPrimaryKey} = require('./index');
+const {base64Key, getForeignKeys} = require('./seed');
+const {readTable, valuesKey} = require('./rows');
+const {createMasker, getColumns, checkConfig} = require('./anonymize');
+
+/**
+ * Exporting rows of tables to a folder, as <table>.json files read by seedFolder
+ * Rows are read in batches and written as they are read, so big tables are not kept in memory
+ * With follow, the rows referenced by the foreign keys of the exported rows are exported too,
+ * so that the folder can be seeded into an empty database
+ * With anonymize, the personal data of the rows is masked before they are written
+ */
+
+/**
+ * @typedef {object} exportOptions
+ * @property {string[]} tables
+ * @property {string} out folder to write <table>.json files to
+ * @property {string | {[table: string]: string}} [where] SQL condition of the rows to export,
+ *  for all the tables or by table
+ * @property {string | {[table: string]: string}} [orderBy] SQL order of the rows,
+ *  eg. created_at desc, primary key by default
+ * @property {number | {[table: string]: number}} [limit] maximum rows exported from a table
+ * @property {boolean} [follow=false] export the rows referenced by the exported rows too
+ * @property {number} [batchSize=1000] rows read in a query
+ * @property {import('./anonymize').anonymizeConfig} [anonymize] mask the exported rows
+ */
+
+/**
+ * @param {any} option
+ * @param {string} table
+ */
+function tableOption(option, table) {
+	if (option === undefined || option === null) return undefined;
+	if (typeof option === 'object') return option[table];
+	return option;
+}
+
+/**
+ * Date as written by the driver, in local time: pg reads timestamps without time zone and dates
+ * in local time, mysql all of them. Postgres gets the offset too, for timestamps with time zone
+ * @param {Date} date
+ * @param {boolean} withOffset
+ */
+function formatDate(date, withOffset) {
+	const pad = (num, length = 2) => String(num).padStart(length, '0');
+	const local = `${pad(date.getFullYear(), 4)}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+		` ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+		`.${pad(date.getMilliseconds(), 3)}`;
+	if (!withOffset) return local;
+	const offset = -date.getTimezoneOffset();
+	const abs = Math.abs(offset);
+	return `${local}${offset < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * Rows with the values that would not be inserted back as they were read converted:
+ * dates are written in local time instead of UTC, and json values as JSON strings, since the
+ * pg driver inserts arrays as postgres arrays
+ * binary values are written in hex for postgres (\x...), which reads it as bytea,
+ * and as {"$base64": "..."} for mysql, which seedFolder decodes
+ * @param {object[]} rows
+ * @param {object} options
+ * @param {string[]} options.jsonColumns
+ * @param {boolean} options.isPg
+ */
+function serializeRows(rows, {jsonColumns, isPg}) {
+	return rows.map((row) => {
+		const serialized = {...row};
+		Object.keys(row).forEach((column) => {
+			const value = row[column];
+			if (value instanceof Date) serialized[column] = formatDate(value, isPg);
+			else if (Buffer.isBuffer(value)) {
+				serialized[column] = isPg ?
+					`\\x${value.toString('hex')}` :
+					{[base64Key]: value.toString('base64')};
+			}
+			else if (value !== null && jsonColumns.includes(column)) {
+				serialized[column] = JSON.stringify(value);
+			}
+		});
+		return serialized;
+	});
+}
+
+/**
+ * json and jsonb columns of a postgres table, mysql reads json as strings
+ * @param {import('knex')} knex
+ * @param {string} table
+ * @returns {Promise<string[]>}
+ */
+async function getJsonColumns(knex, table) {
+	if (knex.client.config.client !== 'pg') return [];
+	return (await knex.raw(`
+		SELECT attname FROM pg_attribute
+		WHERE attrelid = ?::regclass AND attnum > 0 AND NOT attisdropped
+			AND atttypid IN ('json'::regtype, 'jsonb'::regtype)
+	`, [knex.raw('??', [table]).toQuery()])).rows.map(row => row.attname);
+}
+
+/**
+ * @param {object[]} rows serialized rows
+ */
+function formatRows(rows) {
+	return rows.map(row => `\t${JSON.stringify(row)}`).join(',\n');
+}
+
+/**
+ * Writes the rows of a table as {"<table>": [rows]}, a row on each line
+ * The file is created on the first write
+ * @param {string} filePath
+ * @param {string} table
+ */
+function tableWriter(filePath, table) {
+	let stream = null;
+	const write = str => new Promise((resolve, reject) => {
+		if (!stream) stream = fs.createWriteStream(filePath);
+		stream.write(str, err => (err ? reject(err) : resolve()));
+	});
+	let count = 0;
+	return {
+		filePath,
+		get count() {
+			return count;
+		},
+		async write(rows) {
+			if (!rows.length) return;
+			await write(`${count ? ',\n' : `{${JSON.stringify(table)}: [\n`}${formatRows(rows)}`);
+			count += rows.length;
+		},
+		async close() {
+			await write(count ? '\n]}\n' : `{${JSON.stringify(table)}: []}\n`);
+			await new Promise((resolve, reject) => {
+				stream.end(err => (err ? reject(err) : resolve()));
+			});
+		},
+	};
+}
+
+/**
+ * Rows of a table referencing itself, ordered so that referenced rows come first
+ * @param {object[]} rows
+ * @param {import('./seed').foreignKey[]} foreignKeys foreign keys of the table to itself
+ * @returns {object[]}
+ */
+function sortSelfReferences(rows, foreignKeys) {
+	// rows by the values of the referenced columns of each foreign key
+	const byKey = foreignKeys.map(fk => new Map(
+		rows.map(row => [valuesKey(row, fk.foreign_columns), row]),
+	));
+	const sorted = [];
+	const done = new Set();
+	const visit = (row, visiting) => {
+		// cycles are left in the order they are in
+		if (done.has(row) || visiting.has(row)) return;
+		visiting.add(row);
+		foreignKeys.forEach((fk, i) => {
+			const parent = byKey[i].get(valuesKey(row, fk.columns));
+			if (parent) visit(parent, visiting);
+		});
+		done.add(row);
+		sorted.push(row);
+	};
+	rows.forEach(row => visit(row, new Set()));
+	return sorted;
+}
+
+/**
+ * Order the rows of a file of a table referencing itself, see sortSelfReferences
+ * The rows are read in memory
+ * @param {string} filePath
+ * @param {string} table
+ * @param {import('./seed').foreignKey[]} foreignKeys
+ */
+async function sortFile(filePath, table, foreignKeys) {
+	const rows = JSON.parse(await fs.promises.readFile(filePath, 'utf8'))[table];
+	const sorted = sortSelfReferences(rows, foreignKeys);
+	await fs.promises.writeFile(filePath, `{${JSON.stringify(table)}: [\n${formatRows(sorted)}\n]}\n`);
+}
+
+/**
+ * Export the rows of tables to a folder, in the format read by seedFolder
+ * @param {exportOptions} options
+ */
+async function exportTables({
+	tables,
+	out,
+	where,
+	orderBy,
+	limit,
+	follow = false,
+	batchSize = 1000,
+	anonymize,
+}) {
+	if (!tables || !tables.length) throw new Error('Give the tables to export');
+	const knex = getKnex();
+	const isPg = knex.client.config.client === 'pg';
+	// foreign keys name the tables of the public schema without it
+	tables = tables.map(table => (isPg ? table.replace(/^public\./, '') : table));
+	const foreignKeys = await getForeignKeys(knex);
+	let maskRows = (table, rows) => rows;
+	if (anonymize) {
+		// the tables that may be exported have to be covered by the config
+		const covered = new Set(tables);
+		if (follow) {
+			covered.forEach((table) => {
+				foreignKeys
+					.filter(fk => fk.table_name === table)
+					.forEach(fk => covered.add(fk.foreign_table));
+			});
+		}
+		checkConfig(anonymize, await getColumns(knex), [...covered]);
+		maskRows = createMasker(anonymize);
+	}
+	await fs.promises.mkdir(out, {recursive: true});
+
+	/**
+	 * seen has the values of the referenced columns of the exported rows, by columns
+	 * @type {Map<string, {
+	 *  writer: ReturnType<typeof tableWriter>,
+	 *  seen: Map<string, Set<string>>,
+	 *  primaryKey: string[],
+	 *  jsonColumns: string[],
+	 * }>}
+	 */
+	const exported = new Map();
+	// values of the referenced columns of the rows to export, by table and columns
+	/** @type {Map<string, Map<string, Map<string, any[]>>>} */
+	const pending = new Map();
+
+	const getTable = async (table) => {
+		if (!exported.has(table)) {
+			const primaryKey = follow || anonymize ? await getPrimaryKey(table, knex) : [];
+			// referenced columns, to know which rows were exported
+			const columnSets = foreignKeys
+				.filter(fk => fk.foreign_table === table)
+				.map(fk => fk.foreign_columns)
+				.concat(primaryKey.length ? [primaryKey] : []);
+			exported.set(table, {
+				writer: tableWriter(path.join(out, `${table}.json`), table),
+				seen: new Map(columnSets.map(columns => [columns.join(','), new Set()])),
+				primaryKey,
+				jsonColumns: await getJsonColumns(knex, table),
+			});
+		}
+		return exported.get(table);
+	};
+
+	const addRows = async (table, rows) => {
+		const {
+			writer,
+			seen,
+			primaryKey,
+			jsonColumns,
+		} = await getTable(table);
+		// referenced rows are found by the values before masking
+		await writer.write(serializeRows(maskRows(table, rows, primaryKey), {jsonColumns, isPg}));
+		if (!follow) return;
+
+		seen.forEach((keys, columnsKey) => {
+			const columns = columnsKey.split(',');
+			rows.forEach(row => keys.add(valuesKey(row, columns)));
+		});
+		for (const fk of foreignKeys.filter(({table_name: name}) => name === table)) {
+			// eslint-disable-next-line no-await-in-loop
+			const parent = await getTable(fk.foreign_table);
+			const columnsKey = fk.foreign_columns.join(',');
+			if (!pending.has(fk.foreign_table)) pending.set(fk.foreign_table, new Map());
+			const tablePending = pending.get(fk.foreign_table);
+			if (!tablePending.has(columnsKey)) tablePending.set(columnsKey, new Map());
+			rows.forEach((row) => {
+				const key = valuesKey(row, fk.columns);
+				if (key === null || parent.seen.get(columnsKey).has(key)) return;
+				tablePending.get(columnsKey).set(key, fk.columns.map(column => row[column]));
+			});
+		}
+	};
+
+	for (const table of tables) {
+		const options = {
+			where: tableOption(where, table),
+			orderBy: tableOption(orderBy, table),
+			limit: tableOption(limit, table),
+			batchSize,
+		};
+		// eslint-disable-next-line no-await-in-loop
+		for await (const rows of readTable(knex, table, options)) {
+			// eslint-disable-next-line no-await-in-loop
+			await addRows(table, rows);
+		}
+	}
+
+	// referenced rows, till they reference rows already exported
+	while (pending.size) {
+		const [table, byColumns] = pending.entries().next().value;
+		pending.delete(table);
+		const {seen, primaryKey} = exported.get(table);
+		const exportedKeys = seen.get(primaryKey.join(','));
+
+		for (const [columnsKey, values] of byColumns) {
+			const columns = columnsKey.split(',');
+			const missing = [...values.entries()]
+				.filter(([key]) => !seen.get(columnsKey).has(key))
+				.map(([, value]) => value);
+			for (let i = 0; i < missing.length; i += batchSize) {
+				const chunk = missing.slice(i, i + batchSize);
+				const query = columns.length === 1 ?
+					knex(table).whereIn(columns[0], chunk.map(value => value[0])) :
+					knex(table).whereIn(columns, chunk);
+				// the rows may have been exported through other columns
+				// eslint-disable-next-line no-await-in-loop
+				const rows = (await query).filter(row => (
+					!exportedKeys || !exportedKeys.has(valuesKey(row, primaryKey))
+				));
+				// eslint-disable-next-line no-await-in-loop
+				await addRows(table, rows);
+			}
+		}
+	}
+
+	for (const [table, {writer}] of exported) {
+		// tables referenced by no exported row
+		if (!writer.count && !tables.includes(table)) continue;
+		// eslint-disable-next-line no-await-in-loop
+		await writer.close();
+		// rows have to be seeded after the rows they reference
+		const selfKeys = foreignKeys.filter(fk => (
+			fk.table_name === table && fk.foreign_table === table
+		));
+		// eslint-disable-next-line no-await-in-loop
+		if (selfKeys.length && writer.count > 1) await sortFile(writer.filePath, table, selfKeys);
+		getLogger().info(`[knex-utils] Exported ${writer.count} rows of ${table} to ${writer.filePath}`);
+	}
+}
+
+module.exports = {
+	exportTables,
+};
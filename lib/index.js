@@ -1,11 +1,15 @@
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const Knex = require('knex');
+const {getDialect, hasDialect, registerDialect} = require('./dialects');
 
 let logger = console;
 let loggerChanged = false;
 let globalKnex;
 let knexfile;
+// databases created by createTempDb, that dropTempDb can drop
+const tempDbs = new Set();
 
 /**
  * @typedef {object} connectionConf
@@ -89,104 +93,59 @@ function getLogger() {
 	return logger;
 }
 
-function _reducePoolToOne(dbConfig) {
-	return {
-		...dbConfig,
-		pool: {
-			min: 1,
-			max: 1,
-		},
-	};
+/**
+ * key of the database name in the connection config
+ * clients without an adapter are expected to use database, like most knex clients
+ * @param {knexFileConf} dbConfig
+ */
+function _nameKey(dbConfig) {
+	return hasDialect(dbConfig) ? getDialect(dbConfig).nameKey : 'database';
+}
+
+/**
+ * name of the database of a knex config, its file in sqlite
+ * @param {knexFileConf} dbConfig
+ * @returns {string}
+ */
+function _getDb(dbConfig) {
+	return dbConfig.connection[_nameKey(dbConfig)];
 }
 
 function _setDb(dbConfig, dbName) {
 	const connection = dbConfig.connection;
-	const originalDb = connection.database;
+	const nameKey = _nameKey(dbConfig);
+	const originalDb = connection[nameKey];
 	if (originalDb === dbName) {
 		return dbConfig;
 	}
 
 	const dbConfigCopy = {...dbConfig};
 	dbConfigCopy.connection = {...connection};
-	dbConfigCopy.connection.database = dbName;
+	dbConfigCopy.connection[nameKey] = dbName;
 	return dbConfigCopy;
 }
 
 /**
- * reset postgres sequences after importing data
- * postgresql does not set sequence values automatically
- * so we have to set sequence values to max of the id manually
+ * @param {knexFileConf} dbConfig
+ * @param {string} dbName
  */
-async function resetPgSequences() {
-	const knex = getKnex();
-
-	if (knex.client.config.client !== 'pg') {
-		return;
+function _assertNotSystemDb(dbConfig, dbName) {
+	if (hasDialect(dbConfig) && getDialect(dbConfig).systemDatabases.includes(dbName)) {
+		throw new Error(`original database can not be ${dbName}`);
 	}
-
-	// Find queries to fix all sequences
-	// taken from: https://wiki.postgresql.org/wiki/Fixing_Sequences
-	const result = await knex.raw(`
-		SELECT 'SELECT SETVAL(' ||
-			quote_literal(quote_ident(PGT.schemaname) || '.' || quote_ident(S.relname)) ||
-			', COALESCE(MAX(' ||quote_ident(C.attname)|| '), 1) ) FROM ' ||
-			quote_ident(PGT.schemaname)|| '.'||quote_ident(T.relname)|| ';'
-			AS query
-		FROM pg_class AS S,
-			pg_depend AS D,
-			pg_class AS T,
-			pg_attribute AS C,
-			pg_tables AS PGT
-		WHERE S.relkind = 'S'
-			AND S.oid = D.objid
-			AND D.refobjid = T.oid
-			AND D.refobjid = C.attrelid
-			AND D.refobjsubid = C.attnum
-			AND T.relname = PGT.tablename
-		ORDER BY S.relname;
-	`);
-
-	await Promise.all(result.rows.map(async query => knex.raw(query.query)));
 }
 
 /**
- * insert seed data from a folder
- * data should be in json format
+ * insert seed data from a folder, a file for each table named <table>.<ext>
+ * tables are seeded in the order of their foreign keys, see ./seed for the formats
+ * @param {string} folderPath
+ * @param {import('./seed').seedOptions} [options]
  */
-async function seedFolder(folderPath) {
-	const self = this;
-	const knex = getKnex();
-
-	return new Promise((resolve, reject) => {
-		fs.readdir(folderPath, (err, tables) => {
-			if (err) {
-				reject(err);
-				return;
-			}
-
-			tables = tables.filter(
-				table => table.endsWith('.json') || table.endsWith('.json.js')
-			).map((table) => {
-				const type = table.endsWith('.json.js') ? 'js' : 'json';
-				const name = table.endsWith('.json.js') ? table.slice(0, -8) : table.slice(0, -5);
-
-				return {name, type};
-			});
-
-			Promise.all(tables.map(tableData => knex(tableData.name).then(() => {
-				const importFileName = (tableData.type === 'json') ?
-					tableData.name :
-					`${tableData.name}.json`;
-
-				// eslint-disable-next-line
-					const table = require(`${folderPath}/${importFileName}`);
-				return knex(tableData.name).insert(table[tableData.name]);
-			}))).then(() => self.resetPgSequences()
-			).then(() => {
-				resolve();
-			}).catch(e => reject(e));
-		});
-	});
+async function seedFolder(folderPath, options) {
+	// required here since ./seed uses this module
+	// eslint-disable-next-line global-require
+	const seed = require('./seed');
+	await seed.seedFolder(folderPath, options);
 }
 
 async function dropDb(env) {
@@ -199,43 +158,12 @@ async function dropDb(env) {
 		throw new Error(`Config for environment ${env} does not exist`);
 	}
 
-	const dbName = dbConfig.connection.database;
+	const dbName = _getDb(dbConfig);
 	if (!dbName) {
 		throw new Error('database name does not exist in the config');
 	}
 
-	const isPostgres = dbConfig.client === 'pg';
-
-	if (isPostgres) {
-		// since postgres uses default database name as <user>, we need to set the database
-		dbConfig.connection.database = 'postgres';
-	}
-	else {
-		// remove database name from config
-		// since database may not exist, so we first create knex with no db selected
-		dbConfig.connection.database = undefined;
-	}
-
-	const knex = Knex(_reducePoolToOne(dbConfig));
-	dbConfig.connection.database = dbName;
-
-	if (dbConfig.client === 'pg') {
-		try {
-			// postgres doesn't allow dropping database while other user are connected
-			// so force other users to disconnect
-			await knex.raw(`ALTER DATABASE "${dbName}" CONNECTION LIMIT 1`);
-			await knex.raw(`
-				SELECT pg_terminate_backend(pid)
-				FROM pg_stat_activity
-				WHERE datname = '${dbName}'
-			`);
-		}
-		catch (e) {
-			// Ignore errors
-		}
-	}
-	await knex.raw(`DROP DATABASE IF EXISTS "${dbName}"`);
-	await knex.destroy();
+	await getDialect(dbConfig).drop(dbConfig, dbName);
 }
 
 async function dropDbKnex(knex) {
@@ -251,28 +179,12 @@ async function dropDbKnex(knex) {
 	await knex.destroy();
 
 	const dbConfig = knex.client.config;
-	const dbName = dbConfig.connection.database;
+	const dbName = _getDb(dbConfig);
 	if (!dbName) {
 		throw new Error('database name does not exist in the config');
 	}
 
-	const tempKnex = Knex(_setDb(_reducePoolToOne(dbConfig), 'postgres'));
-
-	try {
-		// postgres doesn't allow dropping database while other user are connected
-		// so force other users to disconnect
-		await tempKnex.raw(`ALTER DATABASE "${dbName}" CONNECTION LIMIT 1`);
-		await tempKnex.raw(`
-			SELECT pg_terminate_backend(pid)
-			FROM pg_stat_activity
-			WHERE datname = '${dbName}'
-		`);
-	}
-	catch (e) {
-		// Ignore errors
-	}
-	await tempKnex.raw(`DROP DATABASE IF EXISTS "${dbName}"`);
-	await tempKnex.destroy();
+	await getDialect(dbConfig).drop(dbConfig, dbName);
 }
 
 /**
@@ -280,41 +192,22 @@ async function dropDbKnex(knex) {
  */
 async function createDb(env, {migrate = false} = {}) {
 	const dbConfig = getKnexFile()[env];
-	const dbName = dbConfig.connection.database;
+	const dbName = _getDb(dbConfig);
+	const dialect = getDialect(dbConfig);
 
 	logger.time(`Created database ${dbName}`);
 
-	const isPostgres = dbConfig.client === 'pg';
-	let knex;
-
-	// since database may not exist, so we first create knex with no db selected
-	// remove database name from config
-	if (isPostgres) {
-		// since postgres uses default database name as <user>, we need to set the database
-		dbConfig.connection.database = 'postgres';
-		knex = Knex(_reducePoolToOne(dbConfig));
-
-		const res = await knex.raw(`SELECT 1 FROM pg_database WHERE datname = '${dbName}'`);
-		if (!res.rowCount) {
-			await knex.raw(`CREATE DATABASE "${dbName}"`);
-		}
-		else {
-			logger.info(`DB ${dbName} already exists`);
-		}
+	if (await dialect.exists(dbConfig, dbName)) {
+		logger.info(`DB ${dbName} already exists`);
 	}
 	else {
-		dbConfig.connection.database = undefined;
-		knex = Knex(_reducePoolToOne(dbConfig));
-		await knex.raw(`CREATE DATABASE IF NOT EXISTS "${dbName}"`);
+		await dialect.create(dbConfig, dbName);
 	}
 
 	logger.timeEnd(`Created database ${dbName}`);
 
-	dbConfig.connection.database = dbName;
-	await knex.destroy();
-
 	if (migrate) {
-		knex = getKnex();
+		const knex = getKnex();
 		await knex.migrate.latest();
 	}
 }
@@ -325,18 +218,15 @@ async function createDb(env, {migrate = false} = {}) {
  */
 async function recreateDb(env) {
 	const dbConfig = getKnexFile()[env];
-	logger.log(`Recreating DB: ${dbConfig.connection.database}`);
+	const dbName = _getDb(dbConfig);
+	logger.log(`Recreating DB: ${dbName}`);
 
 	await dropDb(env);
 	await createDb(env);
 
-	const dbName = dbConfig.connection.database;
-	dbConfig.connection.database = dbName;
-
 	if (globalKnex) await globalKnex.destroy();
 	globalKnex = Knex(dbConfig);
 
-	dbConfig.connection.database = dbName;
 	dbConfig.originalDatabase = dbName;
 	return globalKnex;
 }
@@ -344,13 +234,14 @@ async function recreateDb(env) {
 function getDbName(env) {
 	if (!env) env = process.env.NODE_ENV || 'development';
 	const dbConfig = getKnexFile()[env];
-	return dbConfig.connection.database;
+	return _getDb(dbConfig);
 }
 
 /**
  * create a new database from the old database for an environment
+ * with options.anonymize, the personal data of the new database is masked (see anonymizeDb)
  */
-async function copyDb(knex, oldDbName, newDbName) {
+async function copyDb(knex, oldDbName, newDbName, options = {}) {
 	if (process.env.NODE_ENV === 'production') {
 		throw new Error("Can't use this in production. Too dangerous.");
 	}
@@ -362,34 +253,84 @@ async function copyDb(knex, oldDbName, newDbName) {
 		throw new Error(`oldDb can't be same as newDb [${oldDbName}].`);
 	}
 
+	const dbConfig = knex.client.config;
+	// required here since ./anonymize uses this module
+	// eslint-disable-next-line global-require
+	const {anonymizeDb, checkConfig, getColumns} = require('./anonymize');
+	if (options.anonymize) {
+		// check the config before copying, so an invalid one doesn't leave an unmasked copy
+		const oldKnex = Knex(_setDb(dbConfig, oldDbName));
+		try {
+			checkConfig(options.anonymize, await getColumns(oldKnex));
+		}
+		finally {
+			await oldKnex.destroy();
+		}
+	}
+
 	// destroy existing connections
 	await knex.destroy();
 
-	const dbConfig = knex.client.config;
-	const user = dbConfig.connection.user;
-	const tempKnex = Knex(_setDb(_reducePoolToOne(dbConfig), 'postgres'));
 	logger.time(`Copied DB ${oldDbName} to ${newDbName}`);
 	logger.log(`Copying DB: ${oldDbName} to ${newDbName}`);
+	await getDialect(dbConfig).clone(dbConfig, oldDbName, newDbName);
+	logger.timeEnd(`Copied DB ${oldDbName} to ${newDbName}`);
 
-	// close connections to the database
-	await tempKnex.raw(`
-		SELECT pg_terminate_backend(pid)
-		FROM pg_stat_activity
-		WHERE datname = '${oldDbName}'
-	`);
+	const newKnex = Knex(_setDb(dbConfig, newDbName));
+	if (options.anonymize) {
+		try {
+			await anonymizeDb(options.anonymize, {knex: newKnex});
+		}
+		catch (err) {
+			// the copy may be partly masked, don't leave it around
+			logger.error(`[knex-utils] Anonymizing ${newDbName} failed, dropping it`);
+			await newKnex.destroy();
+			await getDialect(dbConfig).drop(dbConfig, newDbName);
+			throw err;
+		}
+	}
+	return newKnex;
+}
 
-	// copy database
-	await tempKnex.raw(`
-		CREATE DATABASE "${newDbName}"
-		WITH TEMPLATE "${oldDbName}"
-		OWNER '${user}';
-	`);
+/**
+ * create a new empty database with a random name on the same server
+ * drop it with dropTempDb after use
+ * @returns {Promise<Knex>} knex for the new database
+ */
+async function createTempDb(knex, suffix = 'temp') {
+	if (!knex) {
+		throw new Error('Knex is required');
+	}
+
+	const dbConfig = knex.client.config;
+	const dialect = getDialect(dbConfig);
+	const random = Math.random().toString(36).substring(2);
+	const newDbName = dialect.withSuffix(_getDb(dbConfig), `${suffix}_${random}`);
+
+	logger.log(`Creating temporary DB: ${newDbName}`);
+	await dialect.create(dbConfig, newDbName);
+	tempDbs.add(newDbName);
 
-	await tempKnex.destroy();
-	logger.timeEnd(`Copied DB ${oldDbName} to ${newDbName}`);
 	return Knex(_setDb(dbConfig, newDbName));
 }
 
+/**
+ * drop a database created by createTempDb
+ * unlike dropDbKnex it works in production too, since it only drops temporary databases
+ * @param {Knex} knex knex for the temporary database
+ */
+async function dropTempDb(knex) {
+	const dbConfig = knex.client.config;
+	const dbName = _getDb(dbConfig);
+	if (!tempDbs.has(dbName)) {
+		throw new Error(`${dbName} was not created by createTempDb, not dropping it`);
+	}
+
+	await knex.destroy();
+	await getDialect(dbConfig).drop(dbConfig, dbName);
+	tempDbs.delete(dbName);
+}
+
 /**
  * create a new database from the old database for testing
  */
@@ -410,12 +351,11 @@ async function copyDbForTest(knex, originalDb) {
 	if (!originalDb) {
 		throw new Error(`original database not found for env ${env}`);
 	}
-	if (originalDb === 'postgres') {
-		throw new Error('original database can not be postgres');
-	}
+	const dbConfig = knex.client.config;
+	_assertNotSystemDb(dbConfig, originalDb);
 
 	const random = Math.random().toString(36).substring(2);
-	const newDb = `${originalDb}_copy_${random}`;
+	const newDb = getDialect(dbConfig).withSuffix(originalDb, `copy_${random}`);
 	const result = await copyDb(knex, originalDb, newDb);
 	return result;
 }
@@ -435,7 +375,7 @@ async function rollbackCopyDbForTest(knex, originalDb) {
 	}
 
 	const dbConfig = knex.client.config;
-	const currentDb = dbConfig.connection.database;
+	const currentDb = _getDb(dbConfig);
 
 	if (!originalDb) {
 		originalDb = getDbName(env);
@@ -443,9 +383,7 @@ async function rollbackCopyDbForTest(knex, originalDb) {
 	if (!originalDb) {
 		throw new Error(`original database not found for env ${env}`);
 	}
-	if (originalDb === 'postgres') {
-		throw new Error('original database can not be postgres');
-	}
+	_assertNotSystemDb(dbConfig, originalDb);
 
 	if (currentDb === originalDb) {
 		// nothing to do here
@@ -481,38 +419,753 @@ async function refreshDb(env) {
 	return knex;
 }
 
+/**
+ * quote a name for postgres, eg. "schema"."table" for schema.table
+ * @param {string} name
+ */
+function quoteName(name) {
+	return name.split('.').map(part => `"${part.replace(/"/g, '""')}"`).join('.');
+}
+
+/**
+ * name of a constraint, index or trigger made by the helpers below
+ * postgres cuts names at 63 bytes, longer names are cut and end with a hash of the full name
+ * so that different names stay different and the same name is found again
+ * @param {string} name
+ */
+function generatedName(name) {
+	if (Buffer.byteLength(name) <= 63) return name;
+	const hash = crypto.createHash('md5').update(name).digest('hex').slice(0, 8);
+	let prefix = name;
+	while (Buffer.byteLength(prefix) > 54) prefix = prefix.slice(0, -1);
+	return `${prefix}_${hash}`;
+}
+
+/**
+ * Primary key columns of a table
+ * @param {string} tableName table or schema.table
+ * @param {Knex} [knex]
+ * @returns {Promise<string[]>}
+ */
+async function getPrimaryKey(tableName, knex = getKnex()) {
+	if (knex.client.config.client === 'pg') {
+		const quoted = quoteName(tableName);
+		return (await knex.raw(`
+			SELECT a.attname AS column_name
+			FROM pg_index i
+				JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+			WHERE i.indrelid = ? :: REGCLASS AND i.indisprimary
+			ORDER BY array_position(i.indkey, a.attnum)
+		`, [quoted])).rows.map(row => row.column_name);
+	}
+
+	const [rows] = await knex.raw('SHOW KEYS FROM ?? WHERE Key_name = \'PRIMARY\'', [tableName]);
+	return rows
+		.sort((a, b) => a.Seq_in_index - b.Seq_in_index)
+		.map(row => row.Column_name);
+}
+
+/**
+ * @param {number} ms
+ */
+function formatDuration(ms) {
+	const seconds = Math.round(ms / 1000);
+	if (seconds < 60) return `${seconds}s`;
+	const minutes = Math.floor(seconds / 60);
+	if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+	return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * @typedef {object} batchProgress
+ * @property {string} table
+ * @property {string} column
+ * @property {any[]} lastKey values of the key columns of the last updated row
+ * @property {number} updated rows updated so far
+ */
+
+/**
+ * Saved progress of the update if progressFile exists, initial progress otherwise
+ * @param {string} [progressFile]
+ * @param {batchProgress} initial
+ * @returns {batchProgress}
+ */
+function loadProgress(progressFile, initial) {
+	if (!progressFile || !fs.existsSync(progressFile)) return initial;
+
+	const saved = JSON.parse(fs.readFileSync(progressFile, 'utf8'));
+	if (saved.table !== initial.table || saved.column !== initial.column) {
+		throw new Error(`${progressFile} has the progress of ${saved.table}.${saved.column},` +
+			` not ${initial.table}.${initial.column}`);
+	}
+	logger.log(`resuming update of ${saved.table}.${saved.column} after key ${JSON.stringify(saved.lastKey)}`);
+	return saved;
+}
+
+/**
+ * Percentage done and remaining time, from the position of the last key in the range of keys
+ * @param {{min: number, max: number}} range
+ * @param {number} lastKey
+ * @param {number} startedAt
+ */
+function estimate(range, lastKey, startedAt) {
+	if (range.max <= range.min) return '';
+	const fraction = Math.min(1, (lastKey - range.min) / (range.max - range.min));
+	if (fraction <= 0) return '';
+	const eta = ((Date.now() - startedAt) / fraction) * (1 - fraction);
+	return ` (${(fraction * 100).toFixed(1)}%, ETA ${formatDuration(eta)})`;
+}
+
+/**
+ * update a column of a table in batches, walking the primary key in order
+ * so that locks are held only for a batch at a time
+ * progress is saved to progressFile after every batch, if it is given, and a
+ * crashed update resumes from there when run again (or from `from`)
+ * @param {object} opts
+ * @param {string} opts.table
+ * @param {string} opts.column
+ * @param {any} opts.update new value, or an SQL expression with knex.raw
+ * @param {object | function | Knex.Raw} [opts.where] update only these rows
+ * @param {string | string[]} [opts.key] primary key of the table by default
+ * @param {number} [opts.batchSize=10000] rows per batch
+ * @param {number} [opts.delay=500] ms to wait between batches
+ * @param {any | any[]} [opts.from] start after this key
+ * @param {string} [opts.progressFile] json file to save progress in, deleted once done
+ * @param {Knex} [opts.knex]
+ * @returns {Promise<number>} number of updated rows
+ */
 async function updateColumnInBatch({
 	table: tableName,
 	column,
 	update,
+	where,
+	key,
+	batchSize = 10000,
+	delay = 500,
+	from,
+	progressFile,
+	knex = getKnex(),
+}) {
+	const keys = key ? [].concat(key) : await getPrimaryKey(tableName, knex);
+	if (!keys.length) {
+		throw new Error(`${tableName} has no primary key, give the key to update it in batches`);
+	}
+
+	const progress = loadProgress(progressFile, {
+		table: tableName,
+		column,
+		lastKey: from === undefined ? null : [].concat(from),
+		updated: 0,
+	});
+
+	// (a, b) > (?, ?) works for single and composite keys in postgres and mysql
+	const keyCondition = (op, values) => knex.raw(
+		`(${keys.map(() => '??').join(', ')}) ${op} (${values.map(() => '?').join(', ')})`,
+		[...keys, ...values],
+	);
+	const filtered = (query) => {
+		if (where) query.where(where);
+		if (progress.lastKey) query.where(keyCondition('>', progress.lastKey));
+		return query;
+	};
+
+	// with a numeric key, progress is estimated from the range of the key
+	let range = null;
+	if (keys.length === 1) {
+		const bounds = await filtered(knex(tableName).min({min: keys[0]}).max({max: keys[0]})).first();
+		if (bounds && bounds.min !== null && !Number.isNaN(Number(bounds.min))) {
+			range = {min: Number(bounds.min), max: Number(bounds.max)};
+		}
+	}
+
+	const startedAt = Date.now();
+	let done = false;
+	while (!done) {
+		// last key of the batch, if there are more rows than a batch
+		// eslint-disable-next-line no-await-in-loop
+		const last = await filtered(knex(tableName).select(keys))
+			.orderBy(keys)
+			.offset(batchSize - 1)
+			.limit(1)
+			.first();
+
+		const query = filtered(knex(tableName).update({[column]: update}));
+		if (last) query.where(keyCondition('<=', keys.map(k => last[k])));
+		// eslint-disable-next-line no-await-in-loop
+		const count = await query;
+
+		progress.updated += count;
+		done = !last;
+		if (last) progress.lastKey = keys.map(k => last[k]);
+
+		const status = last && range ? estimate(range, Number(last[keys[0]]), startedAt) : '';
+		logger.log(`updated ${progress.updated} rows in ${tableName}.${column}${status}` +
+			`${last ? `, last key ${JSON.stringify(progress.lastKey)}` : ''}`);
+
+		if (progressFile && !done) {
+			fs.writeFileSync(progressFile, JSON.stringify(progress));
+		}
+		if (!done && delay) {
+			// eslint-disable-next-line no-await-in-loop
+			await new Promise(resolve => setTimeout(resolve, delay));
+		}
+	}
+
+	if (progressFile && fs.existsSync(progressFile)) fs.unlinkSync(progressFile);
+	logger.log(`finished updating ${tableName}.${column} in ${formatDuration(Date.now() - startedAt)}`);
+	return progress.updated;
+}
+
+/**
+ * Helpers for changing the schema of big tables without blocking reads and writes (postgres)
+ * All of them can be run again after a failure, they skip what is already done
+ * They use getKnex() unless knex is given, eg. the knex of a migration
+ */
+
+/**
+ * @param {Knex} knex
+ * @param {string} helper
+ */
+function assertPostgres(knex, helper) {
+	if (knex.client.config.client !== 'pg') {
+		throw new Error(`${helper} only works with postgres`);
+	}
+}
+
+/**
+ * @param {Knex} knex
+ */
+function isMysqlKnex(knex) {
+	return ['mysql', 'mysql2'].includes(knex.client.config.client);
+}
+
+/**
+ * @param {Knex} knex
+ * @param {string} helper
+ */
+function assertPostgresOrMysql(knex, helper) {
+	if (knex.client.config.client !== 'pg' && !isMysqlKnex(knex)) {
+		throw new Error(`${helper} is not supported with the knex client ${knex.client.config.client}`);
+	}
+}
+
+/**
+ * @param {Knex} knex
+ * @param {string} helper
+ */
+function assertNoTransaction(knex, helper) {
+	if (knex.isTransaction) {
+		throw new Error(`${helper} can't run in a transaction,` +
+			' use exports.config = {transaction: false} in the migration');
+	}
+}
+
+/**
+ * @param {Knex} knex postgres knex
+ * @returns {Promise<number>} server_version_num, eg. 110005 for 11.5
+ */
+async function getServerVersion(knex) {
+	return Number((await knex.raw('SHOW server_version_num')).rows[0].server_version_num);
+}
+
+/**
+ * @typedef {object} sequenceReport
+ * @property {string} schema
+ * @property {string} table
+ * @property {string} column
+ * @property {string} sequence schema.sequence
+ * @property {boolean} identity owned by a GENERATED ... AS IDENTITY column, not a serial
+ * @property {number | string | null} current last value given by the sequence, null if none
+ * @property {number | string | null} max max value of the column, null if the table is empty
+ * @property {boolean} lagging the next value of the sequence is already in the column
+ * @property {number | string} [newValue] value the sequence was set to (not with check)
+ * bigint values are strings
+ */
+
+/**
+ * reset postgres sequences after importing data
+ * postgresql does not set sequence values automatically
+ * so we have to set sequence values to max of the column manually
+ * sequences of serial and identity columns are reset, in a transaction
+ * @param {object} [options]
+ * @param {string} [options.table] only the sequences of this table (or schema.table)
+ * @param {string} [options.schema] only the sequences of tables of this schema
+ * @param {boolean} [options.check=false] only report lagging sequences, without resetting them
+ * @param {Knex} [options.knex]
+ * @returns {Promise<sequenceReport[]>}
+ */
+async function resetPgSequences({table, schema, check = false, knex = getKnex()} = {}) {
+	if (knex.client.config.client !== 'pg') {
+		return [];
+	}
+
+	if (table && table.includes('.')) {
+		[schema, table] = table.split('.');
+	}
+	const version = await getServerVersion(knex);
+
+	// sequences owned by columns, deptype a for serial and i for identity columns
+	const sequences = (await knex.raw(`
+		SELECT
+			N.nspname AS schema,
+			T.relname AS table,
+			A.attname AS column,
+			quote_ident(SN.nspname) || '.' || quote_ident(S.relname) AS sequence,
+			${version >= 100000 ? "A.attidentity <> ''" : 'false'} AS identity
+		FROM pg_class S
+			JOIN pg_namespace SN ON SN.oid = S.relnamespace
+			JOIN pg_depend D ON D.objid = S.oid
+				AND D.classid = 'pg_class'::regclass
+				AND D.refclassid = 'pg_class'::regclass
+				AND D.deptype IN ('a', 'i')
+			JOIN pg_class T ON T.oid = D.refobjid
+			JOIN pg_namespace N ON N.oid = T.relnamespace
+			JOIN pg_attribute A ON A.attrelid = T.oid AND A.attnum = D.refobjsubid
+		WHERE S.relkind = 'S'
+			AND N.nspname NOT IN ('pg_catalog', 'information_schema')
+			AND (?::text IS NULL OR N.nspname = ?)
+			AND (?::text IS NULL OR T.relname = ?)
+		ORDER BY N.nspname, T.relname, A.attname
+	`, [schema || null, schema || null, table || null, table || null])).rows;
+
+	const reset = async (trx) => {
+		const report = [];
+		for (const seq of sequences) {
+			const tableName = `${quoteName(seq.schema)}.${quoteName(seq.table)}`;
+			const column = quoteName(seq.column);
+			// the min value of the sequence is used when the table is empty
+			const hasCatalog = version >= 100000;
+			const minValue = hasCatalog ?
+				'(SELECT seqmin FROM pg_sequence WHERE seqrelid = ?::regclass)' :
+				'S.min_value';
+			// eslint-disable-next-line no-await-in-loop
+			const [state] = (await trx.raw(`
+				SELECT
+					CASE WHEN S.is_called THEN S.last_value END AS current,
+					M.max,
+					M.max IS NOT NULL AND (S.last_value < M.max OR (NOT S.is_called AND S.last_value = M.max))
+						AS lagging,
+					${minValue} AS "minValue"
+				FROM ${seq.sequence} S, (SELECT MAX(${column}) AS max FROM ${tableName}) M
+			`, hasCatalog ? [seq.sequence] : [])).rows;
+
+			const item = {...seq, current: state.current, max: state.max, lagging: state.lagging};
+			if (check) {
+				if (item.lagging) report.push(item);
+				continue;
+			}
+			// eslint-disable-next-line no-await-in-loop
+			item.newValue = (await trx.raw(
+				`SELECT SETVAL(?::regclass, COALESCE(MAX(${column}), ?), MAX(${column}) IS NOT NULL)
+					AS value FROM ${tableName}`,
+				[seq.sequence, state.minValue],
+			)).rows[0].value;
+			report.push(item);
+		}
+		return report;
+	};
+
+	return knex.isTransaction ? reset(knex) : knex.transaction(reset);
+}
+
+/**
+ * @param {Knex} knex
+ * @param {string} tableName
+ * @param {string} constraintName
+ * @returns {Promise<{convalidated: boolean} | undefined>}
+ */
+async function getConstraint(knex, tableName, constraintName) {
+	return (await knex.raw(
+		'SELECT convalidated FROM pg_constraint WHERE conrelid = ? :: REGCLASS AND conname = ?',
+		[quoteName(tableName), constraintName],
+	)).rows[0];
+}
+
+/**
+ * @param {Knex} knex
+ * @param {string} tableName
+ * @param {string} column
+ * @returns {Promise<{nullable: boolean} | undefined>} undefined if the column doesn't exist
+ */
+async function getColumn(knex, tableName, column) {
+	if (knex.client.config.client !== 'pg') {
+		const info = (await knex(tableName).columnInfo())[column];
+		return info && {nullable: info.nullable};
+	}
+	const info = (await knex.raw(
+		'SELECT attnotnull FROM pg_attribute WHERE attrelid = ? :: REGCLASS AND attname = ? AND NOT attisdropped',
+		[quoteName(tableName), column],
+	)).rows[0];
+	return info && {nullable: !info.attnotnull};
+}
+
+/**
+ * set a column to not null without locking the table while checking the rows
+ * a NOT VALID check constraint is added and validated, which doesn't block writes,
+ * then SET NOT NULL uses it instead of scanning the table (postgres 12+)
+ * on older versions SET NOT NULL would scan the table, so the validated check constraint
+ * is kept instead and the column stays nullable
+ * @param {object} opts
+ * @param {string} opts.table
+ * @param {string} opts.column
+ * @param {Knex} [opts.knex]
+ */
+async function setNotNull({table: tableName, column, knex = getKnex()}) {
+	assertPostgres(knex, 'setNotNull');
+	const existing = await getColumn(knex, tableName, column);
+	if (!existing) throw new Error(`column ${column} does not exist in ${tableName}`);
+	if (!existing.nullable) return;
+
+	const constraintName = generatedName(`${tableName.split('.').pop()}_${column}_not_null`);
+	const constraint = await getConstraint(knex, tableName, constraintName);
+	if (!constraint) {
+		logger.log(`adding not null constraint on ${column} in ${tableName}`);
+		await knex.raw(
+			'ALTER TABLE ?? ADD CONSTRAINT ?? CHECK (?? IS NOT NULL) NOT VALID',
+			[tableName, constraintName, column],
+		);
+	}
+	if (!constraint || !constraint.convalidated) {
+		logger.log(`validating not null constraint on ${column} in ${tableName}`);
+		await knex.raw('ALTER TABLE ?? VALIDATE CONSTRAINT ??', [tableName, constraintName]);
+	}
+
+	if (await getServerVersion(knex) < 120000) {
+		logger.log(`keeping check constraint ${constraintName}, SET NOT NULL would scan ${tableName} before postgres 12`);
+		return;
+	}
+	logger.log(`setting ${column} to not null in ${tableName}`);
+	await knex.raw('ALTER TABLE ?? ALTER COLUMN ?? SET NOT NULL', [tableName, column]);
+	await knex.raw('ALTER TABLE ?? DROP CONSTRAINT IF EXISTS ??', [tableName, constraintName]);
+}
+
+/**
+ * add a foreign key without locking the tables while checking the rows
+ * the foreign key is added NOT VALID, so only new rows are checked, then validated
+ * @param {object} opts
+ * @param {string} opts.table
+ * @param {string | string[]} opts.columns
+ * @param {{table: string, columns: string | string[]}} opts.references
+ * @param {string} [opts.name] <table>_<columns>_foreign by default, like knex
+ * @param {string} [opts.onDelete] eg. CASCADE
+ * @param {string} [opts.onUpdate]
+ * @param {Knex} [opts.knex]
+ */
+async function addForeignKey({
+	table: tableName,
+	columns,
+	references,
+	name,
+	onDelete,
+	onUpdate,
+	knex = getKnex(),
+}) {
+	assertPostgres(knex, 'addForeignKey');
+	columns = [].concat(columns);
+	const foreignColumns = [].concat(references.columns);
+	const constraintName = name ||
+		generatedName(`${tableName.split('.').pop()}_${columns.join('_')}_foreign`.toLowerCase());
+	const list = arr => arr.map(() => '??').join(', ');
+
+	const constraint = await getConstraint(knex, tableName, constraintName);
+	if (!constraint) {
+		logger.log(`adding foreign key ${constraintName} to ${tableName}`);
+		await knex.raw(
+			`ALTER TABLE ?? ADD CONSTRAINT ?? FOREIGN KEY (${list(columns)})` +
+			` REFERENCES ?? (${list(foreignColumns)})` +
+			`${onDelete ? ` ON DELETE ${onDelete}` : ''}${onUpdate ? ` ON UPDATE ${onUpdate}` : ''} NOT VALID`,
+			[tableName, constraintName, ...columns, references.table, ...foreignColumns],
+		);
+	}
+	if (!constraint || !constraint.convalidated) {
+		logger.log(`validating foreign key ${constraintName} of ${tableName}`);
+		await knex.raw('ALTER TABLE ?? VALIDATE CONSTRAINT ??', [tableName, constraintName]);
+	}
+}
+
+/**
+ * create an index without blocking writes to the table
+ * an invalid index left by a failed CREATE INDEX CONCURRENTLY is dropped and created again
+ * can't run in a transaction, use exports.config = {transaction: false} in the migration
+ * @param {object} opts
+ * @param {string} opts.table
+ * @param {string | string[]} opts.columns columns, or expressions with knex.raw
+ * @param {string} [opts.name] <table>_<columns>_index (or _unique) by default, like knex
+ * @param {boolean} [opts.unique=false]
+ * @param {string} [opts.using] index method, eg. gin
+ * @param {string} [opts.where] condition of a partial index
+ * @param {Knex} [opts.knex]
+ */
+async function createIndexConcurrently({
+	table: tableName,
+	columns,
+	name,
+	unique = false,
+	using,
+	where,
+	knex = getKnex(),
+}) {
+	assertPostgres(knex, 'createIndexConcurrently');
+	assertNoTransaction(knex, 'createIndexConcurrently');
+	columns = [].concat(columns);
+	if (!name && columns.some(column => typeof column !== 'string')) {
+		throw new Error('give the name of an index on expressions');
+	}
+	const indexName = name || generatedName(
+		`${tableName.split('.').pop()}_${columns.join('_')}_${unique ? 'unique' : 'index'}`.toLowerCase(),
+	);
+	// the index is created in the schema of the table
+	const schema = tableName.includes('.') ? tableName.split('.')[0] : null;
+	const qualifiedName = schema ? `${schema}.${indexName}` : indexName;
+
+	const existing = (await knex.raw(
+		'SELECT indisvalid FROM pg_index WHERE indexrelid = to_regclass(?)',
+		[quoteName(qualifiedName)],
+	)).rows[0];
+	if (existing && existing.indisvalid) return;
+	if (existing) {
+		logger.log(`dropping invalid index ${indexName} of ${tableName}`);
+		await knex.raw('DROP INDEX CONCURRENTLY IF EXISTS ??', [qualifiedName]);
+	}
+
+	logger.log(`creating index ${indexName} on ${tableName}`);
+	const columnsSql = columns.map(column => (typeof column === 'string' ? '??' : '?')).join(', ');
+	await knex.raw(
+		`CREATE ${unique ? 'UNIQUE ' : ''}INDEX CONCURRENTLY IF NOT EXISTS ?? ON ??` +
+		`${using ? ` USING ${using}` : ''} (${columnsSql})${where ? ` WHERE ${where}` : ''}`,
+		[indexName, tableName, ...columns],
+	);
+}
+
+/**
+ * drop an index without blocking the table
+ * can't run in a transaction, use exports.config = {transaction: false} in the migration
+ * @param {object} opts
+ * @param {string} opts.name name of the index, schema.name if it is not in the search path
+ * @param {Knex} [opts.knex]
+ */
+async function dropIndexConcurrently({name, knex = getKnex()}) {
+	assertPostgres(knex, 'dropIndexConcurrently');
+	assertNoTransaction(knex, 'dropIndexConcurrently');
+	logger.log(`dropping index ${name}`);
+	await knex.raw('DROP INDEX CONCURRENTLY IF EXISTS ??', [name]);
+}
+
+/**
+ * @param {Knex} knex
+ * @param {string} tableName
+ * @param {string[]} columnNames
+ * @returns {Promise<{column_name: string, column_type: string, column_default: string | null}[]>}
+ */
+async function getColumnsInfo(knex, tableName, columnNames) {
+	return (await knex.raw(`
+		SELECT
+			attname AS column_name,
+			format_type(atttypid, atttypmod) AS column_type,
+			pg_get_expr(d.adbin, d.adrelid) AS column_default
+		FROM pg_attribute a
+			LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+		WHERE a.attrelid = ? :: REGCLASS AND a.attname = ANY(?) AND NOT a.attisdropped
+	`, [quoteName(tableName), columnNames])).rows;
+}
+
+/**
+ * @param {string} tableName
+ * @param {string} column
+ * @param {string} to
+ */
+function renameTriggerName(tableName, column, to) {
+	return generatedName(`${tableName.split('.').pop()}_${column}_${to}_sync`);
+}
+
+/**
+ * whether a default calls a volatile function (eg. nextval or random)
+ * functions are found by name, so an overload that isn't volatile counts too
+ * @param {Knex} knex
+ * @param {string | null} defaultValue
+ */
+async function isVolatileDefault(knex, defaultValue) {
+	const functions = (defaultValue || '').match(/[\w$]+(?=\s*\()/g);
+	if (!functions) return false;
+	const res = await knex.raw(
+		"SELECT 1 FROM pg_proc WHERE proname = ANY(?) AND provolatile = 'v' LIMIT 1",
+		[functions],
+	);
+	return res.rows.length > 0;
+}
+
+/**
+ * first step of renaming a column without downtime
+ * adds the new column, keeps both columns in sync with a trigger and copies the values
+ * in batches, so that the app can switch to the new column while the old one still works
+ * once nothing uses the old column, remove it with finishRenameColumn
+ * the new column gets the default of the old one, so that inserts giving only one of the columns
+ * can be told apart, columns with volatile defaults (eg. serial) can't be renamed this way,
+ * the two columns would get different values
+ * indexes and constraints of the old column are not copied
+ * @param {object} opts
+ * @param {string} opts.table
+ * @param {string} opts.column current name
+ * @param {string} opts.to new name
+ * @param {Knex} [opts.knex]
+ */
+async function startRenameColumn({
+	table: tableName,
+	column,
+	to,
+	knex = getKnex(),
 }) {
-	const knex = getKnex();
-
-	await knex(tableName).update({[column]: update});
-
-	// This is very slow, so disabling for now
-	// const limit = 10000;
-	// let numUpdated = limit;
-	// let totalUpdated = 0;
-	// while (numUpdated >= limit) {
-	// 	numUpdated = await knex(tableName)
-	// 		.update({[column]: update})
-	// 		.whereIn(
-	// 			'ctid',
-	// 			knex(tableName)
-	// 				.select('ctid')
-	// 				.whereNot(column, update)
-	// 				.orWhereNull(column)
-	// 				.limit(limit)
-	// 		);
-	// 	totalUpdated += numUpdated;
-	// 	logger.log(`updated ${totalUpdated} rows in ${tableName}.${column}`);
-	// 	await Promise.delay(500);
-	// }
-}
-
-/**
- * add a column to a table with default value efficiently
+	assertPostgres(knex, 'startRenameColumn');
+	// the values are copied in batches, which needs the new column and the trigger to be committed
+	assertNoTransaction(knex, 'startRenameColumn');
+	const columns = await getColumnsInfo(knex, tableName, [column, to]);
+	const source = columns.find(col => col.column_name === column);
+	if (!source) throw new Error(`column ${column} does not exist in ${tableName}`);
+	if (await isVolatileDefault(knex, source.column_default)) {
+		throw new Error(`column ${column} of ${tableName} has a volatile default (${source.column_default}),` +
+			' inserts giving only the new column could not be told apart');
+	}
+
+	if (!columns.some(col => col.column_name === to)) {
+		logger.log(`adding column ${to} to ${tableName}`);
+		// the default is set separately, adding a column with a default rewrites the table before pg 11
+		await knex.raw(`ALTER TABLE ?? ADD COLUMN ?? ${source.column_type}`, [tableName, to]);
+	}
+	if (source.column_default) {
+		await knex.raw(`ALTER TABLE ?? ALTER COLUMN ?? SET DEFAULT ${source.column_default}`, [tableName, to]);
+	}
+
+	// the column changed by the query is copied to the other one
+	// on insert both columns get the same default, the column given is the one that differs from it
+	const triggerName = renameTriggerName(tableName, column, to);
+	const schema = tableName.includes('.') ? `${tableName.split('.')[0]}.` : '';
+	const [oldCol, newCol] = [column, to].map(name => quoteName(name));
+	logger.log(`creating trigger ${triggerName} on ${tableName}`);
+	await knex.raw(`
+		CREATE OR REPLACE FUNCTION ${quoteName(`${schema}${triggerName}`)}() RETURNS trigger AS $$
+		DECLARE
+			default_value ${source.column_type};
+		BEGIN
+			IF TG_OP = 'INSERT' THEN
+				default_value := ${source.column_default || 'NULL'};
+				IF NEW.${newCol} IS DISTINCT FROM default_value
+					AND NEW.${oldCol} IS NOT DISTINCT FROM default_value THEN
+					NEW.${oldCol} := NEW.${newCol};
+				ELSE
+					NEW.${newCol} := NEW.${oldCol};
+				END IF;
+			ELSIF NEW.${oldCol} IS DISTINCT FROM OLD.${oldCol} THEN
+				NEW.${newCol} := NEW.${oldCol};
+			ELSIF NEW.${newCol} IS DISTINCT FROM OLD.${newCol} THEN
+				NEW.${oldCol} := NEW.${newCol};
+			END IF;
+			RETURN NEW;
+		END;
+		$$ LANGUAGE plpgsql
+	`);
+	await knex.raw('DROP TRIGGER IF EXISTS ?? ON ??', [triggerName, tableName]);
+	await knex.raw(
+		`CREATE TRIGGER ?? BEFORE INSERT OR UPDATE ON ?? FOR EACH ROW EXECUTE PROCEDURE ${quoteName(`${schema}${triggerName}`)}()`,
+		[triggerName, tableName],
+	);
+
+	logger.log(`copying ${column} to ${to} in ${tableName}`);
+	await updateColumnInBatch({
+		table: tableName,
+		column: to,
+		update: knex.raw('??', [column]),
+		where: knex.raw('?? IS DISTINCT FROM ??', [to, column]),
+		knex,
+	});
+}
+
+/**
+ * last step of renaming a column without downtime, see startRenameColumn
+ * sets the default of the old column on the new one if it doesn't have it, then drops
+ * the trigger keeping the columns in sync and the old column
+ * @param {object} opts
+ * @param {string} opts.table
+ * @param {string} opts.column old name
+ * @param {string} opts.to new name
+ * @param {Knex} [opts.knex]
+ */
+async function finishRenameColumn({
+	table: tableName,
+	column,
+	to,
+	knex = getKnex(),
+}) {
+	assertPostgres(knex, 'finishRenameColumn');
+	const triggerName = renameTriggerName(tableName, column, to);
+	const schema = tableName.includes('.') ? `${tableName.split('.')[0]}.` : '';
+
+	const columns = await getColumnsInfo(knex, tableName, [column, to]);
+	const source = columns.find(col => col.column_name === column);
+	const target = columns.find(col => col.column_name === to);
+	if (!target) throw new Error(`column ${to} does not exist in ${tableName}, run startRenameColumn first`);
+	if (source && source.column_default && !target.column_default) {
+		await knex.raw(`ALTER TABLE ?? ALTER COLUMN ?? SET DEFAULT ${source.column_default}`, [tableName, to]);
+	}
+
+	logger.log(`dropping column ${column} of ${tableName}`);
+	await knex.raw('DROP TRIGGER IF EXISTS ?? ON ??', [triggerName, tableName]);
+	await knex.raw(`DROP FUNCTION IF EXISTS ${quoteName(`${schema}${triggerName}`)}()`);
+	await knex.raw('ALTER TABLE ?? DROP COLUMN IF EXISTS ??', [tableName, column]);
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean} value is a knex.raw expression
+ */
+function isRaw(value) {
+	return Boolean(value) && typeof value.toSQL === 'function';
+}
+
+/**
+ * SQL of a default value, values are quoted and knex.raw expressions are used as is
+ * @param {Knex} knex
+ * @param {any} value
+ */
+function defaultSql(knex, value) {
+	const sql = knex.raw('?', [value]).toQuery();
+	// mysql only allows expressions in parentheses
+	return knex.client.config.client !== 'pg' && isRaw(value) ? `(${sql})` : sql;
+}
+
+/**
+ * @param {Knex} knex
+ * @param {string} tableName
+ * @param {string} indexName
+ */
+async function hasIndex(knex, tableName, indexName) {
+	if (knex.client.config.client !== 'pg') {
+		const [rows] = await knex.raw('SHOW INDEX FROM ?? WHERE Key_name = ?', [tableName, indexName]);
+		return rows.length > 0;
+	}
+	// the index is in the schema of the table
+	const schema = tableName.includes('.') ? `${tableName.split('.')[0]}.` : '';
+	return (await knex.raw('SELECT to_regclass(?) AS index', [quoteName(`${schema}${indexName}`)]))
+		.rows[0].index !== null;
+}
+
+/**
+ * add a not null column with a default value to a table without locking it for long
+ * with postgres 11+ (and other databases) a column with a constant default is added with
+ * its default in one step, without rewriting the table, when there is no update
+ * otherwise the column is added as nullable, existing rows are updated (in batches by default)
+ * and the column is then set to not null with setNotNull
+ * steps already done are skipped, so it can be run again if it fails midway
+ * @param {object} opts
+ * @param {string} opts.table
+ * @param {string} opts.column
+ * @param {string} opts.type knex column type, eg. integer, string
+ * @param {any} [opts.default] value, or an SQL expression with knex.raw
+ * @param {any} [opts.update] value of the existing rows (a value or knex.raw),
+ *  the default if not given
+ * @param {boolean} [opts.updateInBatch=true]
+ * @param {boolean} [opts.index=false] create an index <table>_<column>_index
+ * @param {boolean} [opts.indexConcurrent=false] create the index with createIndexConcurrently
+ * @param {Knex} [opts.knex]
  */
 async function addColumn({
 	table: tableName,
@@ -523,52 +1176,151 @@ async function addColumn({
 	updateInBatch = true,
 	index = false,
 	indexConcurrent = false,
+	knex = getKnex(),
 }) {
-	const knex = getKnex();
+	if (defaultValue === undefined && update === undefined) {
+		throw new Error(`addColumn needs a default or an update for ${column} in ${tableName}`);
+	}
+	const isPg = knex.client.config.client === 'pg';
+	const existing = await getColumn(knex, tableName, column);
+	// volatile defaults (eg. random()) rewrite the table even on postgres 11+,
+	// raw defaults can't be told apart from them so they are always updated in batches
+	const singleStep = !existing && update === undefined &&
+		(!isPg || (!isRaw(defaultValue) && await getServerVersion(knex) >= 110000));
+
+	if (!existing) {
+		logger.log(`adding column ${column} to ${tableName}`);
+		await knex.schema.alterTable(tableName, (table) => {
+			if (singleStep) table[type](column).notNullable().defaultTo(defaultValue);
+			else table[type](column).nullable();
+		});
+	}
 
-	logger.log(`adding column ${column} to ${tableName}`);
-	await knex.schema.alterTable(tableName, (table) => {
-		table[type](column).nullable();
-	});
+	if (!singleStep && (!existing || existing.nullable)) {
+		if (defaultValue !== undefined) {
+			logger.log(`setting default value of ${column} in ${tableName}`);
+			await knex.raw(
+				`ALTER TABLE ?? ALTER COLUMN ?? SET DEFAULT ${defaultSql(knex, defaultValue)}`,
+				[tableName, column],
+			);
+		}
 
-	logger.log(`setting default value of ${column} in ${tableName}`);
-	await knex.raw(
-		`ALTER TABLE :tableName: ALTER COLUMN :column: SET DEFAULT '${defaultValue}'`,
-		{tableName, column},
-	);
+		// only the rows not updated yet, when run again
+		const value = update === undefined ? defaultValue : update;
+		logger.log(`updating ${column} in ${tableName}`);
+		if (updateInBatch) {
+			await updateColumnInBatch({
+				table: tableName,
+				column,
+				update: value,
+				where: knex.raw('?? IS NULL', [column]),
+				knex,
+			});
+		}
+		else {
+			await knex(tableName).whereNull(column).update({[column]: value});
+		}
 
-	logger.log(`updating ${column} in ${tableName}`);
-	if (updateInBatch) {
-		await updateColumnInBatch({
-			table: tableName,
-			column,
-			update,
-		});
-	}
-	else {
-		await knex(tableName).update({[column]: update});
+		if (isPg) {
+			await setNotNull({table: tableName, column, knex});
+		}
+		else {
+			logger.log(`setting ${column} to not null in ${tableName}`);
+			await knex.schema.alterTable(tableName, (table) => {
+				const builder = table[type](column).notNullable();
+				if (defaultValue !== undefined) builder.defaultTo(defaultValue);
+				builder.alter();
+			});
+		}
 	}
 
-	logger.log(`setting ${column} to not null in ${tableName}`);
-	await knex.raw(
-		'ALTER TABLE :tableName: ALTER COLUMN :column: SET NOT NULL',
-		{tableName, column},
-	);
-
 	if (index) {
-		logger.log(`creating index for ${column} in ${tableName}`);
+		const indexName = generatedName(`${tableName.split('.').pop()}_${column}_index`.toLowerCase());
 		if (indexConcurrent) {
-			const indexName = `${tableName.toLowerCase()}_${column.toLowerCase()}_index`;
-			await knex.raw(`CREATE INDEX CONCURRENTLY "${indexName}" ON "${tableName}" ("${column}")`);
+			await createIndexConcurrently({table: tableName, columns: [column], name: indexName, knex});
 		}
-		else {
+		else if (!await hasIndex(knex, tableName, indexName)) {
+			logger.log(`creating index for ${column} in ${tableName}`);
 			await knex.schema.alterTable(tableName, (table) => {
-				table.index(column);
+				table.index(column, indexName);
 			});
 		}
 	}
 }
 
+/**
+ * drop a column, to undo addColumn in down
+ * the indexes using the column are dropped first (concurrently with indexConcurrent),
+ * instead of with the column while the table is locked
+ * in mysql its foreign keys are dropped too, and indexes on multiple columns are dropped
+ * instead of losing the column, other databases are not supported
+ * @param {object} opts
+ * @param {string} opts.table
+ * @param {string} opts.column
+ * @param {boolean} [opts.indexConcurrent=false] drop the indexes with dropIndexConcurrently
+ *  (postgres only)
+ * @param {Knex} [opts.knex]
+ */
+async function dropColumn({
+	table: tableName,
+	column,
+	indexConcurrent = false,
+	knex = getKnex(),
+}) {
+	assertPostgresOrMysql(knex, 'dropColumn');
+	if (!await getColumn(knex, tableName, column)) return;
+
+	if (isMysqlKnex(knex)) {
+		const [foreignKeys] = await knex.raw(`
+			SELECT DISTINCT CONSTRAINT_NAME AS name FROM information_schema.KEY_COLUMN_USAGE
+			WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+				AND REFERENCED_TABLE_NAME IS NOT NULL
+		`, [tableName, column]);
+		for (const {name} of foreignKeys) {
+			logger.log(`dropping foreign key ${name} of ${tableName}`);
+			// eslint-disable-next-line no-await-in-loop
+			await knex.raw('ALTER TABLE ?? DROP FOREIGN KEY ??', [tableName, name]);
+		}
+		const [indexes] = await knex.raw(
+			'SHOW INDEX FROM ?? WHERE Column_name = ? AND Key_name <> \'PRIMARY\'',
+			[tableName, column],
+		);
+		for (const name of new Set(indexes.map(row => row.Key_name))) {
+			logger.log(`dropping index ${name} of ${tableName}`);
+			// eslint-disable-next-line no-await-in-loop
+			await knex.raw('ALTER TABLE ?? DROP INDEX ??', [tableName, name]);
+		}
+	}
+	else {
+		// indexes of constraints (primary key, unique) are dropped with their constraint
+		const indexes = (await knex.raw(`
+			SELECT DISTINCT n.nspname || '.' || c.relname AS name
+			FROM pg_index i
+				JOIN pg_class c ON c.oid = i.indexrelid
+				JOIN pg_namespace n ON n.oid = c.relnamespace
+				JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+			WHERE i.indrelid = ? :: REGCLASS AND a.attname = ?
+				AND NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conindid = i.indexrelid)
+		`, [quoteName(tableName), column])).rows;
+		for (const {name} of indexes) {
+			if (indexConcurrent) {
+				// eslint-disable-next-line no-await-in-loop
+				await dropIndexConcurrently({name, knex});
+			}
+			else {
+				logger.log(`dropping index ${name}`);
+				// eslint-disable-next-line no-await-in-loop
+				await knex.raw('DROP INDEX IF EXISTS ??', [name]);
+			}
+		}
+	}
+
+	logger.log(`dropping column ${column} of ${tableName}`);
+	await knex.schema.alterTable(tableName, (table) => {
+		table.dropColumn(column);
+	});
+}
+
 getLogger();
 
 module.exports = {
@@ -583,10 +1335,23 @@ module.exports = {
 	recreateDb,
 	refreshDb,
 	copyDb,
+	createTempDb,
+	dropTempDb,
+	dropDbKnex,
 	copyDbForTest,
 	rollbackCopyDbForTest,
+	getDialect,
+	registerDialect,
 	resetPgSequences,
 	seedFolder,
+	getPrimaryKey,
 	addColumn,
+	dropColumn,
 	updateColumnInBatch,
+	setNotNull,
+	addForeignKey,
+	createIndexConcurrently,
+	dropIndexConcurrently,
+	startRenameColumn,
+	finishRenameColumn,
 };
@@ -0,0 +1,78 @@
+const {getLogger, getPrimaryKey} = require('./index');
+
+/**
+ * Reading the rows of tables in batches, for exporting and anonymizing them
+ */
+
+/**
+ * Rows of a table in batches, walking the primary key (or with offsets when ordered otherwise)
+ * @param {import('knex')} knex
+ * @param {string} table
+ * @param {object} options
+ * @param {string[]} [options.columns] all columns by default
+ * @param {string} [options.where]
+ * @param {string} [options.orderBy]
+ * @param {number} [options.limit]
+ * @param {number} options.batchSize
+ * @returns {AsyncIterable<object[]>}
+ */
+async function* readTable(knex, table, {
+	columns,
+	where,
+	orderBy,
+	limit,
+	batchSize,
+}) {
+	const keys = await getPrimaryKey(table, knex);
+	if (!keys.length && !orderBy) {
+		getLogger().warn(`[knex-utils] ${table} has no primary key, reading it in one query`);
+	}
+	const paginate = keys.length || orderBy;
+
+	let remaining = limit === undefined ? Infinity : limit;
+	let lastKey = null;
+	let offset = 0;
+	while (remaining > 0) {
+		const query = knex(table).select(columns || '*');
+		if (where) query.whereRaw(where);
+		if (orderBy) query.orderByRaw(orderBy);
+		if (keys.length) query.orderBy(keys);
+		if (!orderBy && lastKey) {
+			// (a, b) > (?, ?) works for single and composite keys in postgres and mysql
+			query.whereRaw(
+				`(${keys.map(() => '??').join(', ')}) > (${lastKey.map(() => '?').join(', ')})`,
+				[...keys, ...lastKey],
+			);
+		}
+		else if (offset) {
+			query.offset(offset);
+		}
+		const size = paginate ? Math.min(batchSize, remaining) : remaining;
+		if (size !== Infinity) query.limit(size);
+
+		// eslint-disable-next-line no-await-in-loop
+		const rows = await query;
+		if (rows.length) yield rows;
+		if (!paginate || rows.length < size) return;
+
+		remaining -= rows.length;
+		offset += rows.length;
+		if (keys.length) lastKey = keys.map(key => rows[rows.length - 1][key]);
+	}
+}
+
+/**
+ * @param {object} row
+ * @param {string[]} columns
+ * @returns {string | null} null if a column is null
+ */
+function valuesKey(row, columns) {
+	const values = columns.map(column => row[column]);
+	if (values.some(value => value === null || value === undefined)) return null;
+	return JSON.stringify(values);
+}
+
+module.exports = {
+	readTable,
+	valuesKey,
+};
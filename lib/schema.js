@@ -0,0 +1,563 @@
+const {getLogger} = require('./index');
+const mysql = require('./consolidateMysql');
+
+/**
+ * JSON model of a database schema
+ * It only contains what was read from the database, so that it can be committed and compared,
+ * and is converted back to the shapes used by the generators of consolidate
+ * Everything is sorted by name, except what has to be created in order (partitions, types)
+ */
+
+const formatVersion = 1;
+
+/**
+ * @typedef {object} columnModel
+ * @property {string} name
+ * @property {string} type complete type, eg. character varying(20), integer[], int(10) unsigned
+ * @property {string} dataType type without modifiers as in information_schema,
+ *  eg. character varying, ARRAY, USER-DEFINED
+ * @property {boolean} nullable
+ * @property {string | null} default SQL expression of the default
+ * @property {string | null} comment
+ * @property {number | null} length max length of character types
+ * @property {number | null} precision precision of numeric types
+ * @property {number | null} scale scale of numeric types
+ * @property {number | null} datetimePrecision fractional seconds precision of date / time types
+ * @property {{schema: string, name: string} | null} udt enum, domain or type of an extension
+ *  (postgres), null for built-in types
+ * @property {string | null} extra auto_increment, on update CURRENT_TIMESTAMP... (mysql)
+ */
+
+/**
+ * @typedef {object} indexModel
+ * @property {string} name
+ * @property {string[]} columns as in the definition of the index
+ * @property {boolean} unique
+ * @property {boolean} primary
+ * @property {string} method btree, gin, gist, fulltext...
+ * @property {boolean} functional has expressions
+ * @property {boolean} partial has a WHERE clause (postgres) or prefix lengths (mysql)
+ * @property {boolean} exclusion belongs to an exclusion constraint
+ * @property {'primary key' | 'unique' | null} constraint constraint the index belongs to
+ * @property {boolean} simple can be created from its columns only, with the table builder
+ * @property {string} definition CREATE INDEX statement
+ */
+
+/**
+ * @typedef {object} constraintModel
+ * @property {string} name
+ * @property {'foreign key' | 'check' | 'exclusion' | 'trigger'} type
+ * @property {string[]} columns
+ * @property {string} definition eg. CHECK (price > 0)
+ * @property {{
+ * 	schema: string,
+ * 	table: string,
+ * 	columns: string[],
+ * 	onDelete: string,
+ * 	onUpdate: string,
+ * }} [references] referenced table of foreign keys, actions are NO ACTION, RESTRICT, CASCADE...
+ */
+
+/**
+ * @typedef {object} partitionModel
+ * @property {string} schema
+ * @property {string} name
+ * @property {string} parentSchema
+ * @property {string} parentName
+ * @property {string} bound eg. FOR VALUES FROM ('2019-01-01') TO ('2019-02-01')
+ * @property {string | null} partitionBy if the partition is partitioned itself
+ */
+
+/**
+ * @typedef {object} tableModel
+ * @property {string} schema
+ * @property {string} name
+ * @property {string | null} comment
+ * @property {columnModel[]} columns in the order of the table
+ * @property {indexModel[]} indexes
+ * @property {constraintModel[]} constraints all constraints except primary keys and
+ *  unique constraints, which are given by their index
+ * @property {string | null} partitionBy eg. RANGE (created_at), for partitioned tables
+ * @property {partitionModel[]} partitions all the partitions, parents before their partitions
+ */
+
+/**
+ * @typedef {object} typeModel
+ * @property {string} schema
+ * @property {string} name
+ * @property {'enum' | 'domain'} kind
+ * @property {string[]} [values] of enums
+ * @property {string} [baseType] of domains
+ * @property {string | null} [default] of domains
+ * @property {boolean} [notNull] of domains
+ * @property {string[]} [constraints] of domains, eg. CONSTRAINT "positive" CHECK (VALUE > 0)
+ */
+
+/**
+ * @typedef {object} schemaModel
+ * @property {number} formatVersion
+ * @property {'postgresql' | 'mysql'} dialect
+ * @property {string[]} schemas
+ * @property {{name: string, schema: string, types: string[]}[]} extensions
+ * @property {typeModel[]} types in the order of creation
+ * @property {tableModel[]} tables
+ * @property {{
+ * 	schema: string,
+ * 	name: string,
+ * 	materialized: boolean,
+ * 	definition: string,
+ * 	options: string[],
+ * 	comment: string | null,
+ * 	dependsOn: string[],
+ * 	indexes: indexModel[],
+ * }[]} views dependsOn has the views used by the view, as schema.name
+ * @property {{
+ * 	schema: string,
+ * 	name: string,
+ * 	arguments: string,
+ * 	procedure: boolean,
+ * 	definition: string,
+ * 	comment: string | null,
+ * }[]} functions
+ * @property {{schema: string, table: string, name: string, definition: string}[]} triggers
+ */
+
+/**
+ * Actions of foreign keys by their code in pg_constraint
+ * @type {{[code: string]: string}}
+ */
+const actions = {
+	a: 'NO ACTION',
+	r: 'RESTRICT',
+	c: 'CASCADE',
+	n: 'SET NULL',
+	d: 'SET DEFAULT',
+};
+
+const constraintTypes = {
+	f: 'foreign key',
+	c: 'check',
+	x: 'exclusion',
+	t: 'trigger',
+};
+
+const indexConstraints = {
+	p: 'primary key',
+	u: 'unique',
+};
+
+/**
+ * @param {{[key: string]: string}} obj
+ */
+function invert(obj) {
+	const result = {};
+	Object.keys(obj).forEach((key) => {
+		result[obj[key]] = key;
+	});
+	return result;
+}
+
+/**
+ * @template T
+ * @param {T[]} arr
+ * @param {(item: T) => string} key
+ * @returns {T[]}
+ */
+function sortBy(arr, key) {
+	return arr.slice().sort((a, b) => {
+		if (key(a) === key(b)) return 0;
+		return key(a) > key(b) ? 1 : -1;
+	});
+}
+
+const orNull = value => (value === undefined || value === '' ? null : value);
+
+/**
+ * @param {import('./consolidate').indexInfo} index
+ * @returns {indexModel}
+ */
+function indexToModel(index) {
+	return {
+		name: index.index_name,
+		columns: index.indexed_columns,
+		unique: index.is_unique,
+		primary: index.is_primary,
+		method: index.index_type,
+		functional: index.is_functional,
+		partial: index.is_partial,
+		exclusion: index.is_exclusion,
+		constraint: indexConstraints[index.constraint_type] || null,
+		simple: !index.custom,
+		definition: index.index_def,
+	};
+}
+
+/**
+ * @param {import('./consolidate').columnInfo} columnInfo
+ * @returns {columnModel}
+ */
+function columnToModel(columnInfo) {
+	const {detailedInfo} = columnInfo;
+	return {
+		name: detailedInfo.column_name,
+		type: detailedInfo.formatted_type,
+		dataType: columnInfo.type,
+		nullable: columnInfo.nullable,
+		default: orNull(columnInfo.defaultValue),
+		comment: orNull(detailedInfo.comment),
+		length: orNull(detailedInfo.character_maximum_length),
+		precision: orNull(detailedInfo.numeric_precision),
+		scale: orNull(detailedInfo.numeric_scale),
+		datetimePrecision: orNull(detailedInfo.datetime_precision),
+		udt: detailedInfo.udt_name && detailedInfo.udt_schema !== 'pg_catalog' ?
+			{schema: detailedInfo.udt_schema, name: detailedInfo.udt_name} :
+			null,
+		extra: orNull(detailedInfo.extra),
+	};
+}
+
+/**
+ * @param {import('./consolidate').constraintInfo} constraint
+ * @returns {constraintModel}
+ */
+function constraintToModel(constraint) {
+	const model = {
+		name: constraint.constraint_name,
+		type: constraintTypes[constraint.constraint_type],
+		columns: constraint.columns || [],
+		definition: constraint.constraint_def,
+	};
+	if (constraint.constraint_type === 'f') {
+		model.references = {
+			schema: constraint.foreign_schema,
+			table: constraint.foreign_table,
+			columns: constraint.foreign_columns,
+			onDelete: actions[constraint.on_delete],
+			onUpdate: actions[constraint.on_update],
+		};
+	}
+	return model;
+}
+
+/**
+ * @param {import('./consolidate').userTypeInfo} userType
+ * @returns {typeModel}
+ */
+function typeToModel(userType) {
+	const model = {
+		schema: userType.type_schema,
+		name: userType.type_name,
+		kind: userType.type_kind === 'e' ? 'enum' : 'domain',
+	};
+	if (userType.type_kind === 'e') {
+		model.values = userType.enum_values;
+	}
+	else {
+		model.baseType = userType.base_type;
+		model.default = userType.domain_default;
+		model.notNull = userType.domain_not_null;
+		model.constraints = userType.domain_constraints;
+	}
+	return model;
+}
+
+/**
+ * Build the model from what was read from the database
+ * @param {object} schema
+ * @param {'postgresql' | 'mysql'} schema.dialect
+ * @param {string[]} schema.schemas
+ * @param {(import('./consolidate').table & {
+ * 	columnsInfo: {[column: string]: import('./consolidate').columnInfo},
+ * 	indexes: import('./consolidate').indexInfo[],
+ * 	constraints: import('./consolidate').constraintInfo[],
+ * 	partitionKey?: string,
+ * 	partitions?: import('./consolidate').partition[],
+ * })[]} schema.tables
+ * @param {import('./consolidate').extensionInfo[]} [schema.extensions]
+ * @param {import('./consolidate').userTypeInfo[]} [schema.userTypes]
+ * @param {import('./consolidate').viewInfo[]} [schema.views]
+ * @param {import('./consolidate').functionInfo[]} [schema.functions]
+ * @param {import('./consolidate').triggerInfo[]} [schema.triggers]
+ * @returns {schemaModel}
+ */
+function toModel({
+	dialect,
+	schemas,
+	tables,
+	extensions = [],
+	userTypes = [],
+	views = [],
+	functions = [],
+	triggers = [],
+}) {
+	return {
+		formatVersion,
+		dialect,
+		schemas: schemas.slice().sort(),
+		extensions: sortBy(extensions, extension => extension.extension_name).map(extension => ({
+			name: extension.extension_name,
+			schema: extension.extension_schema,
+			types: extension.types.slice().sort(),
+		})),
+		types: userTypes.map(typeToModel),
+		tables: sortBy(tables, table => `${table.table_schema}.${table.table_name}`).map(table => ({
+			schema: table.table_schema,
+			name: table.table_name,
+			comment: orNull(table.comment),
+			columns: sortBy(
+				Object.keys(table.columnsInfo).map(columnName => table.columnsInfo[columnName]),
+				columnInfo => String(columnInfo.detailedInfo.ordinal_position).padStart(6, '0'),
+			).map(columnToModel),
+			indexes: sortBy(table.indexes, index => index.index_name).map(indexToModel),
+			constraints: sortBy(table.constraints, constraint => constraint.constraint_name)
+				.map(constraintToModel),
+			partitionBy: table.partitionKey || null,
+			partitions: (table.partitions || []).map(partition => ({
+				schema: partition.table_schema,
+				name: partition.table_name,
+				parentSchema: partition.parent_schema,
+				parentName: partition.parent_name,
+				bound: partition.partition_bound,
+				partitionBy: partition.partition_key,
+			})),
+		})),
+		views: sortBy(views, view => `${view.view_schema}.${view.view_name}`).map(view => ({
+			schema: view.view_schema,
+			name: view.view_name,
+			materialized: view.is_materialized,
+			definition: view.view_def,
+			options: view.options || [],
+			comment: orNull(view.comment),
+			dependsOn: view.depends_on.slice().sort(),
+			indexes: sortBy(view.indexes || [], index => index.index_name).map(indexToModel),
+		})),
+		functions: sortBy(
+			functions,
+			fn => `${fn.function_schema}.${fn.function_name}(${fn.identity_arguments})`,
+		).map(fn => ({
+			schema: fn.function_schema,
+			name: fn.function_name,
+			arguments: fn.identity_arguments,
+			procedure: fn.is_procedure,
+			definition: fn.function_def,
+			comment: orNull(fn.comment),
+		})),
+		triggers: sortBy(
+			triggers,
+			trigger => `${trigger.table_schema}.${trigger.table_name}.${trigger.trigger_name}`,
+		).map(trigger => ({
+			schema: trigger.table_schema,
+			table: trigger.table_name,
+			name: trigger.trigger_name,
+			definition: trigger.trigger_def,
+		})),
+	};
+}
+
+/**
+ * @param {indexModel} index
+ * @param {string} tableName
+ * @returns {import('./consolidate').indexInfo}
+ */
+function indexFromModel(index, tableName) {
+	return {
+		index_name: index.name,
+		table_name: tableName,
+		indexed_columns: index.columns,
+		is_unique: index.unique,
+		is_primary: index.primary,
+		index_type: index.method,
+		is_functional: index.functional,
+		is_partial: index.partial,
+		is_exclusion: index.exclusion,
+		constraint_type: invert(indexConstraints)[index.constraint] || null,
+		index_def: index.definition,
+	};
+}
+
+/**
+ * Convert the model to the shapes used by the generators of consolidate
+ * Single column indexes are attached to their column
+ * @param {schemaModel} model
+ */
+function fromModel(model) {
+	if (model.formatVersion !== formatVersion) {
+		throw new Error(`Unsupported schema format version ${model.formatVersion}, expected ${formatVersion}`);
+	}
+	const isMysql = model.dialect === 'mysql';
+	const actionCodes = invert(actions);
+	const constraintCodes = invert(constraintTypes);
+
+	/** @type {import('./consolidate').extensionInfo[]} */
+	const extensions = model.extensions.map(extension => ({
+		extension_name: extension.name,
+		extension_schema: extension.schema,
+		types: extension.types,
+	}));
+	/** @type {{[type: string]: string}} */
+	const extensionByType = {};
+	extensions.forEach((extension) => {
+		extension.types.forEach((type) => {
+			extensionByType[type] = extension.extension_name;
+		});
+	});
+
+	/** @type {import('./consolidate').userTypeInfo[]} */
+	const userTypes = model.types.map(type => ({
+		type_schema: type.schema,
+		type_name: type.name,
+		type_kind: type.kind === 'enum' ? 'e' : 'd',
+		enum_values: type.values || [],
+		base_type: type.kind === 'enum' ? null : type.baseType,
+		domain_default: type.kind === 'enum' ? null : type.default,
+		domain_not_null: Boolean(type.notNull),
+		domain_constraints: type.constraints || [],
+	}));
+	/** @type {{[key: string]: import('./consolidate').userTypeInfo}} */
+	const userTypesByName = {};
+	userTypes.forEach((userType) => {
+		userTypesByName[`${userType.type_schema}.${userType.type_name}`] = userType;
+	});
+
+	const tables = model.tables.map((tableModel) => {
+		const table = {
+			table_schema: tableModel.schema,
+			table_name: tableModel.name,
+			table_type: 'BASE TABLE',
+			comment: tableModel.comment,
+			columnsInfo: {},
+			constraints: {},
+		};
+		if (tableModel.partitionBy) {
+			table.partitionKey = tableModel.partitionBy;
+			table.partitions = tableModel.partitions.map(partition => ({
+				table_schema: partition.schema,
+				table_name: partition.name,
+				parent_schema: partition.parentSchema,
+				parent_name: partition.parentName,
+				partition_bound: partition.bound,
+				partition_key: partition.partitionBy,
+			}));
+		}
+
+		tableModel.columns.forEach((column, i) => {
+			const udtKey = column.udt ? `${column.udt.schema}.${column.udt.name}` : '';
+			const columnInfo = {
+				type: column.dataType,
+				maxLength: column.length,
+				nullable: column.nullable,
+				defaultValue: column.default,
+				detailedInfo: {
+					table_schema: tableModel.schema,
+					table_name: tableModel.name,
+					column_name: column.name,
+					ordinal_position: i + 1,
+					column_default: column.default,
+					data_type: column.dataType,
+					formatted_type: column.type,
+					comment: column.comment,
+					character_maximum_length: column.length,
+					numeric_precision: column.precision,
+					numeric_scale: column.scale,
+					datetime_precision: column.datetimePrecision,
+					udt_schema: column.udt ? column.udt.schema : undefined,
+					udt_name: column.udt ? column.udt.name : undefined,
+					extra: column.extra,
+				},
+				userType: userTypesByName[udtKey],
+				extension: extensionByType[udtKey],
+			};
+			if (isMysql) {
+				columnInfo.knexType = mysql.getType(columnInfo);
+				columnInfo.knexDefault = mysql.defaults(columnInfo, columnInfo.knexType);
+			}
+			table.columnsInfo[column.name] = columnInfo;
+		});
+
+		tableModel.constraints.forEach((constraint) => {
+			const references = constraint.references || {};
+			table.constraints[constraint.name] = {
+				constraint_name: constraint.name,
+				constraint_def: constraint.definition,
+				constraint_type: constraintCodes[constraint.type],
+				columns: constraint.columns,
+				foreign_schema: references.schema || null,
+				foreign_table: references.table || null,
+				foreign_columns: references.columns || null,
+				on_delete: actionCodes[references.onDelete] || null,
+				on_update: actionCodes[references.onUpdate] || null,
+			};
+		});
+
+		table.indexes = tableModel.indexes
+			// mysql creates an index for foreign keys, it is created along with the foreign key
+			.filter(index => !(isMysql && table.constraints[index.name]))
+			.map((indexModel) => {
+				const index = indexFromModel(indexModel, tableModel.name);
+				if (!indexModel.simple) {
+					index.custom = true;
+					return index;
+				}
+				if (index.indexed_columns.length > 1) {
+					index.multiple = true;
+					return index;
+				}
+
+				const col = table.columnsInfo[index.indexed_columns[0].replace(/"/g, '')];
+				if (!col) {
+					index.error = true;
+					getLogger().warn('Unknown index', tableModel.name, index);
+					return index;
+				}
+				index.single = true;
+				// increments creates the primary key itself in mysql
+				if (isMysql && index.is_primary && ['increments', 'bigIncrements'].includes(col.knexType.type)) {
+					return index;
+				}
+				col.index = index;
+				return index;
+			});
+		return table;
+	});
+
+	return {
+		dialect: model.dialect,
+		schemas: model.schemas,
+		extensions,
+		userTypes,
+		tables,
+		/** @type {import('./consolidate').viewInfo[]} */
+		views: model.views.map(view => ({
+			view_schema: view.schema,
+			view_name: view.name,
+			is_materialized: view.materialized,
+			view_def: view.definition,
+			options: view.options,
+			comment: view.comment,
+			depends_on: view.dependsOn,
+			indexes: view.indexes.map(index => indexFromModel(index, view.name)),
+		})),
+		/** @type {import('./consolidate').functionInfo[]} */
+		functions: model.functions.map(fn => ({
+			function_schema: fn.schema,
+			function_name: fn.name,
+			identity_arguments: fn.arguments,
+			is_procedure: fn.procedure,
+			function_def: fn.definition,
+			comment: fn.comment,
+		})),
+		/** @type {import('./consolidate').triggerInfo[]} */
+		triggers: model.triggers.map(trigger => ({
+			table_schema: trigger.schema,
+			table_name: trigger.table,
+			trigger_name: trigger.name,
+			trigger_def: trigger.definition,
+		})),
+	};
+}
+
+module.exports = {
+	formatVersion,
+	toModel,
+	fromModel,
+};
@@ -0,0 +1,609 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const yaml = require('js-yaml');
+const {
+	getKnex,
+	getLogger,
+	getPrimaryKey,
+	resetPgSequences,
+} = require('./index');
+
+/**
+ * Reading seed files and inserting their rows in batches, in the order of the foreign keys
+ * csv and ndjson files are streamed, json and yaml files are loaded at once
+ * Rows can have a name in @key, other rows can then reference its primary key
+ * with "@<table>.<key>", which is replaced once the row is inserted
+ */
+
+// postgres and mysql allow at most 65535 bindings in a query
+const maxBindings = 65535;
+const keyProperty = '@key';
+// gives the order of the tables, when it can't be found from the foreign keys
+const manifestFile = '_manifest.json';
+
+/**
+ * @typedef {'string' | 'number' | 'boolean' | 'json' | 'date' | ((value: any) => any)} columnType
+ */
+
+/**
+ * Seed file formats by extension, longest first so that .json.js is not taken for .js
+ */
+const formats = [
+	{ext: '.json.js', format: 'js'},
+	{ext: '.json', format: 'json'},
+	{ext: '.ndjson', format: 'ndjson'},
+	{ext: '.csv', format: 'csv'},
+	{ext: '.yaml', format: 'yaml'},
+	{ext: '.yml', format: 'yaml'},
+];
+
+/**
+ * @param {string} fileName
+ * @returns {{table: string, format: string} | null} null if it's not a seed file
+ */
+function parseFileName(fileName) {
+	const match = formats.find(({ext}) => fileName.endsWith(ext));
+	if (!match) return null;
+	return {table: fileName.slice(0, -match.ext.length), format: match.format};
+}
+
+/**
+ * Rows of a csv file, the first line has the column names
+ * Empty values are null, use "" for an empty string
+ * @param {string} filePath
+ */
+async function* readCsv(filePath) {
+	let columns = null;
+	let row = [];
+	let field = '';
+	let fieldQuoted = false;
+	let inQuotes = false;
+	// a quote right after a closing quote is an escaped quote
+	let afterQuote = false;
+	let line = 1;
+	let rows = [];
+
+	const endField = () => {
+		row.push(field === '' && !fieldQuoted ? null : field);
+		field = '';
+		fieldQuoted = false;
+	};
+	const endRow = () => {
+		endField();
+		// blank lines are skipped
+		if (row.length > 1 || row[0] !== null) {
+			if (!columns) {
+				columns = row;
+			}
+			else {
+				if (row.length !== columns.length) {
+					throw new Error(`${filePath}:${line}: expected ${columns.length} values, got ${row.length}`);
+				}
+				const obj = {};
+				columns.forEach((column, i) => {
+					obj[column] = row[i];
+				});
+				rows.push(obj);
+			}
+		}
+		row = [];
+	};
+
+	const stream = fs.createReadStream(filePath, {encoding: 'utf8'});
+	let first = true;
+	for await (let chunk of stream) {
+		if (first && chunk.charCodeAt(0) === 0xFEFF) chunk = chunk.slice(1);
+		first = false;
+
+		for (const char of chunk) {
+			if (inQuotes) {
+				if (char === '"') {
+					inQuotes = false;
+					afterQuote = true;
+				}
+				else {
+					field += char;
+				}
+				if (char === '\n') line++;
+				continue;
+			}
+
+			if (char === '"') {
+				if (afterQuote) field += '"';
+				else fieldQuoted = true;
+				inQuotes = true;
+			}
+			else if (char === ',') {
+				endField();
+			}
+			else if (char === '\n') {
+				endRow();
+				line++;
+			}
+			else if (char !== '\r') {
+				field += char;
+			}
+			afterQuote = false;
+		}
+
+		yield* rows;
+		rows = [];
+	}
+
+	if (inQuotes) throw new Error(`${filePath}:${line}: unterminated quoted value`);
+	if (field !== '' || fieldQuoted || row.length) endRow();
+	yield* rows;
+}
+
+/**
+ * Rows of a newline delimited json file, a json object on each line
+ * @param {string} filePath
+ */
+async function* readNdjson(filePath) {
+	const lines = readline.createInterface({
+		input: fs.createReadStream(filePath, {encoding: 'utf8'}),
+		crlfDelay: Infinity,
+	});
+	let lineNumber = 0;
+	for await (const line of lines) {
+		lineNumber++;
+		if (!line.trim()) continue;
+		try {
+			yield JSON.parse(line);
+		}
+		catch (err) {
+			throw new Error(`${filePath}:${lineNumber}: ${err.message}`);
+		}
+	}
+}
+
+/**
+ * Rows of a seed file
+ * json and .json.js files export {<table>: rows}, yaml files have either the rows
+ * or {<table>: rows}
+ * @param {string} filePath
+ * @param {string} table
+ * @param {string} format
+ * @returns {Promise<AsyncIterable<object> | object[]>}
+ */
+async function readRows(filePath, table, format) {
+	if (format === 'csv') return readCsv(filePath);
+	if (format === 'ndjson') return readNdjson(filePath);
+
+	let data;
+	if (format === 'yaml') {
+		data = yaml.safeLoad(await fs.promises.readFile(filePath, 'utf8'), {filename: filePath});
+		if (Array.isArray(data)) return data;
+	}
+	else {
+		// eslint-disable-next-line import/no-dynamic-require, global-require
+		data = require(path.resolve(filePath));
+	}
+
+	if (!data || !Array.isArray(data[table])) {
+		throw new Error(`${filePath} should have the rows of ${table} in "${table}"`);
+	}
+	return data[table];
+}
+
+// binary values are written by export as {"$base64": "..."} in mysql, which has no hex input
+const base64Key = '$base64';
+
+/**
+ * @param {any} value
+ */
+function isBase64Value(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+		Object.keys(value).length === 1 && typeof value[base64Key] === 'string';
+}
+
+const trueValues = ['true', 't', '1', 'yes', 'y'];
+const falseValues = ['false', 'f', '0', 'no', 'n'];
+
+/**
+ * @type {{[type: string]: (value: any) => any}}
+ */
+const converters = {
+	string: value => String(value),
+	number: (value) => {
+		const num = Number(value);
+		if (value === '' || Number.isNaN(num)) throw new Error('not a number');
+		return num;
+	},
+	boolean: (value) => {
+		if (typeof value === 'boolean') return value;
+		const str = String(value).toLowerCase();
+		if (trueValues.includes(str)) return true;
+		if (falseValues.includes(str)) return false;
+		throw new Error('not a boolean');
+	},
+	// stringified, so that arrays are not taken for postgres arrays
+	json: value => JSON.stringify(typeof value === 'string' ? JSON.parse(value) : value),
+	date: (value) => {
+		const date = new Date(value);
+		if (Number.isNaN(date.getTime())) throw new Error('not a date');
+		return date;
+	},
+	// {"$base64": "..."} or postgres hex (\x...)
+	binary: (value) => {
+		if (Buffer.isBuffer(value)) return value;
+		if (isBase64Value(value)) return Buffer.from(value[base64Key], 'base64');
+		if (typeof value === 'string' && /^\\x([0-9a-f]{2})*$/i.test(value)) {
+			return Buffer.from(value.slice(2), 'hex');
+		}
+		throw new Error(`not a {"${base64Key}": ...} object or a \\x hex string`);
+	},
+};
+
+/**
+ * Convert the values of a row to the types of its columns, null is kept as is
+ * {"$base64": "..."} values are binary in every column
+ * @param {object} row
+ * @param {{[column: string]: columnType}} [types]
+ * @param {string} table
+ */
+function convertRow(row, types, table) {
+	Object.keys(row).forEach((column) => {
+		if (isBase64Value(row[column])) row[column] = converters.binary(row[column]);
+	});
+	if (!types) return row;
+	Object.keys(types).forEach((column) => {
+		const value = row[column];
+		if (value === null || value === undefined) return;
+		const type = types[column];
+		const convert = typeof type === 'function' ? type : converters[type];
+		if (!convert) throw new Error(`Unknown type "${type}" of ${table}.${column}`);
+		try {
+			row[column] = convert(value);
+		}
+		catch (err) {
+			throw new Error(`Can't convert ${JSON.stringify(value)} of ${table}.${column} to ${type}: ${err.message}`);
+		}
+	});
+	return row;
+}
+
+/**
+ * @typedef {object} seedRefs
+ * @property {Set<string>} tables tables that can be referenced, the seeded tables
+ * @property {Map<string, any>} ids primary keys of the rows with a @key, by <table>.<key>
+ */
+
+/**
+ * Replace the references to other rows (@<table>.<key>) with their primary keys
+ * Strings starting with @ are only references if the table is seeded, @@ is a literal @
+ * @param {object} row
+ * @param {seedRefs} refs
+ * @returns {{row: object, key: string | null, missing: string[]}} the row without its @key
+ *  and the references to rows not inserted yet
+ */
+function resolveRefs(row, refs) {
+	const {[keyProperty]: key, ...values} = row;
+	const missing = [];
+	Object.keys(values).forEach((column) => {
+		const value = values[column];
+		if (typeof value !== 'string' || value[0] !== '@') return;
+		if (value[1] === '@') {
+			values[column] = value.slice(1);
+			return;
+		}
+		const ref = value.slice(1);
+		if (!refs.tables.has(ref.slice(0, ref.lastIndexOf('.')))) return;
+		if (refs.ids.has(ref)) values[column] = refs.ids.get(ref);
+		else missing.push(ref);
+	});
+	return {row: values, key: key === undefined || key === null ? null : String(key), missing};
+}
+
+/**
+ * Insert rows having a @key and save their primary keys, to resolve the references to them
+ * @param {import('knex')} knex
+ * @param {string} table
+ * @param {object[]} rows
+ * @param {(string | null)[]} keys @key of each row
+ * @param {seedRefs} refs
+ */
+async function insertWithKeys(knex, table, rows, keys, refs) {
+	const primaryKey = await getPrimaryKey(table, knex);
+	if (primaryKey.length !== 1) {
+		throw new Error(`Rows of ${table} can't have a ${keyProperty}, it needs a primary key of one column`);
+	}
+	const [column] = primaryKey;
+	const save = (key, id) => {
+		if (key !== null) refs.ids.set(`${table}.${key}`, id);
+	};
+
+	if (knex.client.config.client === 'pg') {
+		const ids = await knex(table).insert(rows).returning(column);
+		ids.forEach((id, i) => save(keys[i], id));
+		return;
+	}
+
+	// mysql only returns the id of the first row inserted
+	for (const [i, row] of rows.entries()) {
+		// eslint-disable-next-line no-await-in-loop
+		const [insertId] = await knex(table).insert(row);
+		save(keys[i], row[column] === undefined ? insertId : row[column]);
+	}
+}
+
+/**
+ * Insert the rows in batches of batchSize rows
+ * Batches are made smaller when they would have too many bindings
+ * @param {import('knex')} knex
+ * @param {string} table
+ * @param {AsyncIterable<object> | object[]} rows
+ * @param {object} [options]
+ * @param {number} [options.batchSize=1000]
+ * @param {{[column: string]: columnType}} [options.types]
+ * @param {seedRefs} [options.refs] references to other rows are resolved with it
+ * @returns {Promise<number>} number of inserted rows
+ */
+async function insertInBatches(knex, table, rows, {
+	batchSize = 1000,
+	types,
+	refs = {tables: new Set(), ids: new Map()},
+} = {}) {
+	let batch = [];
+	let keys = [];
+	let columns = new Set();
+	let count = 0;
+
+	const flush = async () => {
+		if (!batch.length) return;
+		if (keys.some(key => key !== null)) await insertWithKeys(knex, table, batch, keys, refs);
+		else await knex(table).insert(batch);
+		count += batch.length;
+		batch = [];
+		keys = [];
+		columns = new Set();
+	};
+
+	// a reference to a row of the current batch, which is known once the batch is inserted
+	const inBatch = ref => ref.startsWith(`${table}.`) && keys.includes(ref.slice(table.length + 1));
+
+	for await (const row of rows) {
+		let resolved = resolveRefs(row, refs);
+		if (resolved.missing.length && resolved.missing.every(inBatch)) {
+			await flush();
+			resolved = resolveRefs(row, refs);
+		}
+		if (resolved.missing.length) {
+			throw new Error(`Unknown reference @${resolved.missing[0]} in ${table}, ` +
+				'it should be the @key of a row of a table seeded before');
+		}
+
+		let newColumns = new Set([...columns, ...Object.keys(resolved.row)]);
+		// knex inserts every column in every row of the batch
+		if (batch.length && (batch.length + 1) * newColumns.size > maxBindings) {
+			await flush();
+			newColumns = new Set(Object.keys(resolved.row));
+		}
+		columns = newColumns;
+
+		batch.push(convertRow(resolved.row, types, table));
+		keys.push(resolved.key);
+		if (batch.length >= batchSize) await flush();
+	}
+	await flush();
+
+	return count;
+}
+
+/**
+ * @typedef {object} foreignKey
+ * @property {string} table_name
+ * @property {string[]} columns
+ * @property {string} foreign_table
+ * @property {string[]} foreign_columns
+ */
+
+/**
+ * Foreign keys between the tables of the database
+ * Tables of the public schema (and all tables in mysql) are named without their schema
+ * @param {import('knex')} knex
+ * @returns {Promise<foreignKey[]>}
+ */
+async function getForeignKeys(knex) {
+	if (knex.client.config.client !== 'pg') {
+		const [rows] = await knex.raw(`
+			SELECT
+				CONSTRAINT_NAME AS name,
+				TABLE_NAME AS table_name,
+				COLUMN_NAME AS column_name,
+				REFERENCED_TABLE_NAME AS foreign_table,
+				REFERENCED_COLUMN_NAME AS foreign_column
+			FROM information_schema.KEY_COLUMN_USAGE
+			WHERE TABLE_SCHEMA = DATABASE() AND REFERENCED_TABLE_NAME IS NOT NULL
+			ORDER BY TABLE_NAME, CONSTRAINT_NAME, ORDINAL_POSITION
+		`);
+		const foreignKeys = {};
+		rows.forEach((row) => {
+			const key = `${row.table_name}.${row.name}`;
+			if (!foreignKeys[key]) {
+				foreignKeys[key] = {
+					table_name: row.table_name,
+					columns: [],
+					foreign_table: row.foreign_table,
+					foreign_columns: [],
+				};
+			}
+			foreignKeys[key].columns.push(row.column_name);
+			foreignKeys[key].foreign_columns.push(row.foreign_column);
+		});
+		return Object.values(foreignKeys);
+	}
+
+	const name = (ns, cls) => (
+		`CASE WHEN ${ns}.nspname = 'public' THEN ${cls}.relname` +
+		` ELSE ${ns}.nspname || '.' || ${cls}.relname END`
+	);
+	const columns = (keys, table) => `ARRAY(
+		SELECT a.attname :: TEXT
+		FROM unnest(c.${keys}) WITH ORDINALITY k(attnum, i)
+			JOIN pg_attribute a ON a.attrelid = c.${table} AND a.attnum = k.attnum
+		ORDER BY k.i
+	)`;
+	return (await knex.raw(`
+		SELECT
+			${name('tn', 't')} AS table_name,
+			${columns('conkey', 'conrelid')} AS columns,
+			${name('fn', 'f')} AS foreign_table,
+			${columns('confkey', 'confrelid')} AS foreign_columns
+		FROM pg_constraint c
+			JOIN pg_class t ON t.oid = c.conrelid
+			JOIN pg_namespace tn ON tn.oid = t.relnamespace
+			JOIN pg_class f ON f.oid = c.confrelid
+			JOIN pg_namespace fn ON fn.oid = f.relnamespace
+		WHERE c.contype = 'f'
+		ORDER BY 1, c.conname
+	`)).rows;
+}
+
+/**
+ * Order the tables so that every table is seeded after the tables it references
+ * @param {string[]} tables
+ * @param {foreignKey[]} foreignKeys
+ * @param {string[]} [order] tables to seed first, in this order
+ * @returns {string[]}
+ */
+function orderTables(tables, foreignKeys, order = []) {
+	const unknown = order.filter(table => !tables.includes(table));
+	if (unknown.length) throw new Error(`No seed file for ${unknown.join(', ')} given in the order`);
+
+	const ordered = order.slice();
+	let remaining = tables.filter(table => !order.includes(table));
+	const referencesRemaining = table => foreignKeys.some(fk => (
+		fk.table_name === table && fk.foreign_table !== table && remaining.includes(fk.foreign_table)
+	));
+	while (remaining.length) {
+		const ready = remaining.filter(table => !referencesRemaining(table));
+		if (!ready.length) {
+			throw new Error(`Can't order ${remaining.join(', ')}, their foreign keys form a cycle, ` +
+				`give the order in ${manifestFile}`);
+		}
+		ordered.push(...ready);
+		remaining = remaining.filter(table => !ready.includes(table));
+	}
+	return ordered;
+}
+
+/**
+ * The tables along with the tables referencing them, directly or not
+ * @param {string[]} tables
+ * @param {foreignKey[]} foreignKeys
+ * @returns {string[]}
+ */
+function withReferencingTables(tables, foreignKeys) {
+	const result = new Set(tables);
+	let size = 0;
+	while (result.size !== size) {
+		size = result.size;
+		foreignKeys
+			.filter(fk => result.has(fk.foreign_table))
+			.forEach(fk => result.add(fk.table_name));
+	}
+	return [...result];
+}
+
+/**
+ * @param {import('knex')} knex
+ * @param {string[]} tables
+ */
+async function truncateTables(knex, tables) {
+	getLogger().info(`[knex-utils] Truncating ${tables.join(', ')}`);
+	if (knex.client.config.client === 'pg') {
+		await knex.raw(`TRUNCATE ${tables.map(() => '??').join(', ')} RESTART IDENTITY CASCADE`, tables);
+		return;
+	}
+
+	// mysql can't truncate a table referenced by a foreign key, even by an empty table
+	await knex.transaction(async (trx) => {
+		await trx.raw('SET FOREIGN_KEY_CHECKS = 0');
+		try {
+			for (const table of tables) {
+				// eslint-disable-next-line no-await-in-loop
+				await trx.raw('TRUNCATE TABLE ??', [table]);
+			}
+		}
+		finally {
+			await trx.raw('SET FOREIGN_KEY_CHECKS = 1');
+		}
+	});
+}
+
+/**
+ * @param {string} folderPath
+ * @returns {Promise<{order?: string[]}>}
+ */
+async function readManifest(folderPath) {
+	const filePath = path.join(folderPath, manifestFile);
+	if (!fs.existsSync(filePath)) return {};
+	return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+}
+
+/**
+ * @typedef {object} seedOptions
+ * @property {number} [batchSize=1000] rows inserted in a query
+ * @property {{[table: string]: {[column: string]: columnType}}} [types]
+ *  types to convert the values of the columns to, eg. {users: {age: 'number'}}
+ * @property {string[]} [order] tables to seed first, in this order
+ *  (default: the order in _manifest.json)
+ * @property {boolean} [truncate=false] truncate the tables, and the tables referencing them, first
+ */
+
+/**
+ * Insert the rows of the seed files of a folder, a file for each table named <table>.<ext>
+ * Tables are seeded one at a time, after the tables they reference
+ * @param {string} folderPath
+ * @param {seedOptions} [options]
+ */
+async function seedFolder(folderPath, {
+	batchSize = 1000,
+	types = {},
+	order,
+	truncate = false,
+} = {}) {
+	const knex = getKnex();
+	const files = (await fs.promises.readdir(folderPath))
+		.filter(fileName => fileName !== manifestFile)
+		.sort()
+		.map(fileName => ({fileName, ...parseFileName(fileName)}))
+		.filter(({table}) => table);
+	const tables = [...new Set(files.map(({table}) => table))];
+
+	const foreignKeys = await getForeignKeys(knex);
+	const ordered = orderTables(tables, foreignKeys, order || (await readManifest(folderPath)).order);
+	if (truncate) await truncateTables(knex, withReferencingTables(tables, foreignKeys));
+
+	const refs = {tables: new Set(tables), ids: new Map()};
+	for (const table of ordered) {
+		for (const {fileName, format} of files.filter(file => file.table === table)) {
+			// eslint-disable-next-line no-await-in-loop
+			const rows = await readRows(path.join(folderPath, fileName), table, format);
+			// eslint-disable-next-line no-await-in-loop
+			const count = await insertInBatches(knex, table, rows, {
+				batchSize,
+				types: types[table],
+				refs,
+			});
+			getLogger().info(`[knex-utils] Seeded ${count} rows into ${table} from ${fileName}`);
+		}
+	}
+
+	await resetPgSequences();
+}
+
+module.exports = {
+	base64Key,
+	seedFolder,
+	parseFileName,
+	readCsv,
+	readNdjson,
+	readRows,
+	convertRow,
+	insertInBatches,
+	getForeignKeys,
+	orderTables,
+};
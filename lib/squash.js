@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const {file} = require('sm-utils');
+const {
+	getKnex,
+	setKnex,
+	getLogger,
+	createTempDb,
+	dropTempDb,
+} = require('./index');
+const {
+	generateFiles,
+	writeFiles,
+	getExistingFiles,
+	getMigrationsDir,
+	resolveSchemas,
+} = require('./consolidate');
+
+/**
+ * Names of the migration files, in the order knex runs them
+ * @param {string} migrationsDir
+ * @returns {Promise<string[]>}
+ */
+async function listMigrations(migrationsDir) {
+	const files = await new Promise((resolve, reject) => {
+		fs.readdir(migrationsDir, (err, res) => {
+			if (err) reject(err);
+			else resolve(res);
+		});
+	});
+	return files.filter(name => name.endsWith('.js')).sort();
+}
+
+/**
+ * knex migration source for only the given migrations
+ * @param {string} migrationsDir
+ * @param {string[]} names
+ */
+function migrationSource(migrationsDir, names) {
+	return {
+		getMigrations: async () => names,
+		getMigrationName: name => name,
+		// eslint-disable-next-line import/no-dynamic-require, global-require
+		getMigration: name => require(path.join(migrationsDir, name)),
+	};
+}
+
+/**
+ * Generate the consolidated migrations for the schema as it was after the cutoff migration,
+ * by running the migrations till it on a temporary database
+ * @param {string} migrationsDir
+ * @param {string[]} names migrations to run
+ * @param {import('./consolidate').generateOptions} options
+ */
+async function generateAtCutoff(migrationsDir, names, options) {
+	const knex = getKnex();
+	const tempKnex = await createTempDb(knex, 'squash');
+	try {
+		await tempKnex.migrate.latest({migrationSource: migrationSource(migrationsDir, names)});
+
+		setKnex(tempKnex);
+		const schemas = await resolveSchemas(options.schemas);
+		const files = await generateFiles({...options, schemas});
+		return {files, schemas};
+	}
+	finally {
+		setKnex(knex);
+		await dropTempDb(tempKnex);
+	}
+}
+
+/**
+ * Replace the squashed migrations with the consolidated ones in knex_migrations
+ * Does nothing for a new database, the consolidated migrations will be run by knex
+ * @param {import('knex').Transaction} trx
+ * @param {string} cutoff
+ * @param {string[]} consolidated names of the consolidated migrations
+ */
+async function updateBookkeeping(trx, cutoff, consolidated) {
+	const migrationsConfig = getKnex().client.config.migrations || {};
+	const tableName = migrationsConfig.tableName || 'knex_migrations';
+
+	if (!await trx.schema.hasTable(tableName)) return;
+	const completed = await trx(tableName).select('name', 'batch');
+	if (!completed.length) return;
+
+	if (!completed.find(row => row.name === cutoff)) {
+		throw new Error(`Migration ${cutoff} has not been run on this database, run migrations till it before squashing`);
+	}
+
+	const squashed = completed.filter(row => row.name <= cutoff && !consolidated.includes(row.name));
+	const completedNames = completed.map(row => row.name);
+	const batch = Math.min(...completed.filter(row => row.name <= cutoff).map(row => row.batch));
+
+	getLogger().log(`[knex-utils] Replacing ${squashed.length} migrations in ${tableName} with ${consolidated.join(', ')}`);
+	if (squashed.length) {
+		await trx(tableName).whereIn('name', squashed.map(row => row.name)).del();
+	}
+
+	const toInsert = consolidated.filter(name => !completedNames.includes(name));
+	if (toInsert.length) {
+		await trx(tableName).insert(toInsert.map(name => ({
+			name,
+			batch,
+			migration_time: new Date(),
+		})));
+	}
+}
+
+/**
+ * Put the migrations folder back as it was before squashing
+ * @param {object} opts
+ * @param {string} opts.migrationsDir
+ * @param {string} opts.archiveDir
+ * @param {string[]} opts.archived migrations moved to the archive
+ * @param {string[]} opts.written consolidated migrations written
+ * @param {{[filePath: string]: string}} opts.previous previously consolidated migrations
+ */
+async function restoreMigrations({
+	migrationsDir,
+	archiveDir,
+	archived,
+	written,
+	previous,
+}) {
+	await Promise.all(written.map(
+		filePath => file(path.join(migrationsDir, filePath)).rm().catch(() => {}),
+	));
+	await Promise.all(Object.keys(previous).map(
+		filePath => file(path.join(migrationsDir, filePath)).write(previous[filePath]),
+	));
+	await Promise.all(archived.map(
+		name => file(path.join(archiveDir, name)).mv(path.join(migrationsDir, name)),
+	));
+}
+
+/**
+ * Squash all migrations till (and including) the cutoff migration into consolidated migrations
+ * Newer migrations are left untouched
+ * @param {string} cutoff name of the last migration to squash
+ * @param {object} [options]
+ * @param {string} [options.archive] folder to move the squashed migrations to
+ * @param {boolean} [options.bookkeepingOnly] only update knex_migrations, for databases
+ *  of other environments once the squashed migrations are committed
+ * @param {string[]} [options.schemas]
+ * @param {boolean} [options.partitions]
+ */
+async function squash(cutoff, {
+	archive = 'migrations/archive',
+	bookkeepingOnly = false,
+	...options
+} = {}) {
+	const migrationsDir = getMigrationsDir();
+	const names = await listMigrations(migrationsDir);
+	if (!cutoff.endsWith('.js')) cutoff = `${cutoff}.js`;
+
+	if (bookkeepingOnly) {
+		const consolidated = names.filter(name => name.startsWith('0_'));
+		await getKnex().transaction(trx => updateBookkeeping(trx, cutoff, consolidated));
+		return;
+	}
+
+	if (!names.includes(cutoff)) {
+		throw new Error(`Migration ${cutoff} not found in ${migrationsDir}`);
+	}
+
+	getLogger().time(`Squashed migrations till ${cutoff}`);
+	const older = names.filter(name => name <= cutoff);
+	const {files, schemas} = await generateAtCutoff(migrationsDir, older, options);
+	const consolidated = Object.keys(files).filter(filePath => !filePath.includes('/'));
+	// previously consolidated migrations are overwritten
+	const toArchive = older.filter(name => !consolidated.includes(name));
+	const archiveDir = path.resolve(process.cwd(), archive);
+
+	// kept to restore the migrations folder if writing the files or committing fails
+	const previous = {};
+	await Promise.all((await getExistingFiles(schemas)).map(async (filePath) => {
+		previous[filePath] = await file(path.join(migrationsDir, filePath)).read();
+	}));
+	const archived = [];
+	let changed = false;
+
+	try {
+		await getKnex().transaction(async (trx) => {
+			await updateBookkeeping(trx, cutoff, consolidated);
+
+			// files are changed last so that any error rolls back the bookkeeping
+			changed = true;
+			await file(archiveDir).mkdirp();
+			await Promise.all(toArchive.map(async (name) => {
+				await file(path.join(migrationsDir, name)).mv(path.join(archiveDir, name));
+				archived.push(name);
+			}));
+			await writeFiles(files, schemas);
+		});
+	}
+	catch (err) {
+		if (changed) {
+			getLogger().error('[knex-utils] Squashing failed, restoring the migrations folder');
+			await restoreMigrations({
+				migrationsDir,
+				archiveDir,
+				archived,
+				written: Object.keys(files),
+				previous,
+			});
+		}
+		throw err;
+	}
+	getLogger().timeEnd(`Squashed migrations till ${cutoff}`);
+}
+
+module.exports = {
+	squash,
+	listMigrations,
+};
@@ -0,0 +1,306 @@
+const {file} = require('sm-utils');
+const {getLogger} = require('./index');
+const {enumValues} = require('./consolidateMysql');
+const {dumpSchema} = require('./consolidate');
+
+/**
+ * TypeScript interfaces and JSON Schemas of the tables, from the JSON model of the database
+ * Interfaces describe the rows as returned by the driver (eg. bigint and numeric are strings
+ * in postgres), JSON Schemas describe the values that can be inserted, for request validation
+ */
+
+/**
+ * @typedef {object} valueType
+ * @property {string} ts TypeScript type
+ * @property {object} json JSON Schema of the value, without null
+ */
+
+/**
+ * Types by the type of a column without modifiers
+ * data_type in postgres (same as format_type for built-in types), DATA_TYPE in mysql
+ * @type {{[type: string]: valueType}}
+ */
+const valueTypes = {
+	smallint: {ts: 'number', json: {type: 'integer'}},
+	integer: {ts: 'number', json: {type: 'integer'}},
+	bigint: {ts: 'string', json: {type: 'integer'}},
+	real: {ts: 'number', json: {type: 'number'}},
+	'double precision': {ts: 'number', json: {type: 'number'}},
+	numeric: {ts: 'string', json: {type: 'number'}},
+	money: {ts: 'string', json: {type: 'string'}},
+	boolean: {ts: 'boolean', json: {type: 'boolean'}},
+	'character varying': {ts: 'string', json: {type: 'string'}},
+	character: {ts: 'string', json: {type: 'string'}},
+	text: {ts: 'string', json: {type: 'string'}},
+	citext: {ts: 'string', json: {type: 'string'}},
+	uuid: {ts: 'string', json: {type: 'string', format: 'uuid'}},
+	json: {ts: 'Json', json: {}},
+	jsonb: {ts: 'Json', json: {}},
+	date: {ts: 'Date', json: {type: 'string', format: 'date'}},
+	'timestamp with time zone': {ts: 'Date', json: {type: 'string', format: 'date-time'}},
+	'timestamp without time zone': {ts: 'Date', json: {type: 'string', format: 'date-time'}},
+	'time with time zone': {ts: 'string', json: {type: 'string'}},
+	'time without time zone': {ts: 'string', json: {type: 'string'}},
+	interval: {ts: 'string', json: {type: 'string'}},
+	bytea: {ts: 'Buffer', json: {type: 'string'}},
+	inet: {ts: 'string', json: {type: 'string'}},
+	cidr: {ts: 'string', json: {type: 'string'}},
+	macaddr: {ts: 'string', json: {type: 'string'}},
+	// mysql
+	tinyint: {ts: 'number', json: {type: 'integer'}},
+	mediumint: {ts: 'number', json: {type: 'integer'}},
+	int: {ts: 'number', json: {type: 'integer'}},
+	year: {ts: 'number', json: {type: 'integer'}},
+	decimal: {ts: 'string', json: {type: 'number'}},
+	float: {ts: 'number', json: {type: 'number'}},
+	double: {ts: 'number', json: {type: 'number'}},
+	char: {ts: 'string', json: {type: 'string'}},
+	varchar: {ts: 'string', json: {type: 'string'}},
+	tinytext: {ts: 'string', json: {type: 'string'}},
+	mediumtext: {ts: 'string', json: {type: 'string'}},
+	longtext: {ts: 'string', json: {type: 'string'}},
+	set: {ts: 'string', json: {type: 'string'}},
+	datetime: {ts: 'Date', json: {type: 'string', format: 'date-time'}},
+	timestamp: {ts: 'Date', json: {type: 'string', format: 'date-time'}},
+	time: {ts: 'string', json: {type: 'string'}},
+	binary: {ts: 'Buffer', json: {type: 'string'}},
+	varbinary: {ts: 'Buffer', json: {type: 'string'}},
+	tinyblob: {ts: 'Buffer', json: {type: 'string'}},
+	blob: {ts: 'Buffer', json: {type: 'string'}},
+	mediumblob: {ts: 'Buffer', json: {type: 'string'}},
+	longblob: {ts: 'Buffer', json: {type: 'string'}},
+	bit: {ts: 'Buffer', json: {type: 'string'}},
+};
+
+const unknownType = {ts: 'unknown', json: {}};
+
+/**
+ * @param {...string} parts
+ * @returns {string} eg. AppUserOrders for app, user_orders
+ */
+function pascalCase(...parts) {
+	return parts.join('_')
+		.split(/[^a-zA-Z0-9]+/)
+		.filter(Boolean)
+		.map(word => word[0].toUpperCase() + word.slice(1))
+		.join('')
+		.replace(/^(\d)/, '_$1');
+}
+
+/**
+ * Name of the interface / type of a table or an enum, the schema is added if it's not public
+ * @param {string} schema
+ * @param {string} name
+ */
+function typeName(schema, name) {
+	if (schema === 'public') return pascalCase(name);
+	return pascalCase(schema, name);
+}
+
+/**
+ * @param {string} str
+ */
+function quoteLiteral(str) {
+	return `'${str.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * @param {string} str
+ */
+function cleanComment(str) {
+	return str.replace(/\*\//g, '*\\/');
+}
+
+/**
+ * Enum of a postgres type name as given by format_type, eg. mood or app.mood
+ * @param {import('./schema').schemaModel} model
+ * @param {string} name
+ * @returns {import('./schema').typeModel | undefined}
+ */
+function findEnum(model, name) {
+	const parts = name.split('.').map(part => part.replace(/^"|"$/g, ''));
+	const [schema, enumName] = parts.length > 1 ? parts : ['public', parts[0]];
+	return model.types.find(type => (
+		type.kind === 'enum' && type.schema === schema && type.name === enumName
+	));
+}
+
+/**
+ * Type of a value of a column (of an element for arrays)
+ * @param {import('./schema').schemaModel} model
+ * @param {string} type formatted type without array brackets
+ * @param {import('./schema').columnModel} column
+ * @returns {valueType}
+ */
+function valueType(model, type, column) {
+	const baseType = type.replace(/\(.*\)/, '').replace(/ unsigned| zerofill/g, '').trim();
+
+	if (model.dialect === 'mysql') {
+		// knex creates booleans as tinyint(1)
+		if (/^tinyint\(1\)/.test(type)) return valueTypes.boolean;
+		if (column.dataType === 'enum') {
+			const values = enumValues(column.type);
+			return {ts: values.map(quoteLiteral).join(' | '), json: {type: 'string', enum: values}};
+		}
+		return valueTypes[column.dataType] || unknownType;
+	}
+
+	const userType = findEnum(model, baseType);
+	if (userType) {
+		return {ts: typeName(userType.schema, userType.name), json: {type: 'string', enum: userType.values}};
+	}
+	// domains are given by their base type in data_type
+	if (column.dataType !== 'USER-DEFINED' && column.dataType !== 'ARRAY') {
+		return valueTypes[column.dataType] || unknownType;
+	}
+	// types of extensions, eg. citext
+	return valueTypes[baseType.split('.').pop()] || unknownType;
+}
+
+/**
+ * @param {import('./schema').schemaModel} model
+ * @param {import('./schema').columnModel} column
+ * @returns {valueType}
+ */
+function columnType(model, column) {
+	const dimensions = (column.type.match(/\[\]/g) || []).length;
+	if (model.dialect === 'mysql' || !dimensions) return valueType(model, column.type, column);
+
+	const element = valueType(model, column.type.replace(/(\[\])+$/, ''), column);
+	let ts = element.ts;
+	let json = element.json;
+	for (let i = 0; i < dimensions; i++) {
+		ts = /[ |]/.test(ts) ? `(${ts})[]` : `${ts}[]`;
+		json = {type: 'array', items: json};
+	}
+	return {ts, json};
+}
+
+/**
+ * Column has a value even if it's not given when inserting
+ * @param {import('./schema').columnModel} column
+ */
+function hasDefault(column) {
+	return column.default !== null || /auto_increment/i.test(column.extra || '');
+}
+
+/**
+ * @param {string[]} lines
+ * @param {string} indent
+ */
+function docComment(lines, indent) {
+	if (!lines.length) return '';
+	if (lines.length === 1) return `${indent}/** ${lines[0]} */\n`;
+	return `${indent}/**\n${lines.map(line => `${indent} * ${line}`).join('\n')}\n${indent} */\n`;
+}
+
+/**
+ * TypeScript declarations of the tables, with an interface for each table
+ * and a string literal union for each enum
+ * @param {import('./schema').schemaModel} model
+ * @returns {string} contents of a .d.ts file
+ */
+function generateTypes(model) {
+	const enums = model.types.filter(type => type.kind === 'enum').map(type => (
+		`export type ${typeName(type.schema, type.name)} = ${type.values.map(quoteLiteral).join(' | ') || 'never'};`
+	));
+
+	const interfaces = model.tables.map((table) => {
+		const columns = table.columns.map((column) => {
+			const {ts} = columnType(model, column);
+			const doc = [];
+			if (column.comment) doc.push(...cleanComment(column.comment).split(/\r?\n/));
+			doc.push(`\`${column.type}\`${column.default !== null ? `, default \`${column.default}\`` : ''}`);
+			const name = /^[a-zA-Z_$][\w$]*$/.test(column.name) ? column.name : quoteLiteral(column.name);
+			return `${docComment(doc, '\t')}\t${name}: ${ts}${column.nullable ? ' | null' : ''};`;
+		});
+
+		const doc = [];
+		if (table.comment) doc.push(...cleanComment(table.comment).split(/\r?\n/));
+		doc.push(`Table \`${table.schema}.${table.name}\``);
+		return `${docComment(doc, '')}export interface ${typeName(table.schema, table.name)} {\n${columns.join('\n')}\n}`;
+	});
+
+	return [
+		'// Generated by knex-utils types, do not edit',
+		'',
+		'export type Json = string | number | boolean | null | Json[] | {[key: string]: Json};',
+		enums.length ? `\n${enums.join('\n')}` : '',
+		'',
+		`${interfaces.join('\n\n')}`,
+		'',
+	].join('\n');
+}
+
+/**
+ * JSON Schema of each table, for validating rows being inserted
+ * Columns that are not nullable and don't have a default are required
+ * @param {import('./schema').schemaModel} model
+ * @returns {object} JSON Schema with the tables in definitions
+ */
+function generateJsonSchema(model) {
+	const definitions = {};
+	model.tables.forEach((table) => {
+		const properties = {};
+		const required = [];
+		table.columns.forEach((column) => {
+			const {json} = columnType(model, column);
+			const property = {...json};
+			if (column.nullable) {
+				if (property.enum) property.enum = property.enum.concat(null);
+				if (property.type) property.type = [property.type, 'null'];
+			}
+			if (column.length && property.type) property.maxLength = column.length;
+			if (column.comment) property.description = column.comment;
+			properties[column.name] = property;
+			if (!column.nullable && !hasDefault(column)) required.push(column.name);
+		});
+
+		definitions[typeName(table.schema, table.name)] = {
+			type: 'object',
+			...(table.comment ? {description: table.comment} : {}),
+			properties,
+			required,
+			additionalProperties: false,
+		};
+	});
+
+	return {
+		$schema: 'http://json-schema.org/draft-07/schema#',
+		definitions,
+	};
+}
+
+/**
+ * @typedef {object} typesOptions
+ * @property {string[]} [schemas] all non-system schemas by default
+ * @property {'ts' | 'json-schema'} [format='ts']
+ * @property {string} [out] file to write to, stdout if not given
+ */
+
+/**
+ * Generate the types of the tables of the database
+ * @param {typesOptions} [options]
+ */
+async function types({schemas, format = 'ts', out} = {}) {
+	if (!['ts', 'json-schema'].includes(format)) {
+		throw new Error(`Unknown format "${format}", expected ts or json-schema`);
+	}
+	const model = await dumpSchema({schemas, partitions: false});
+	const contents = format === 'ts' ?
+		generateTypes(model) :
+		`${JSON.stringify(generateJsonSchema(model), null, '\t')}\n`;
+
+	if (!out) {
+		process.stdout.write(contents);
+		return;
+	}
+	await file(out).write(contents);
+	getLogger().info(`[knex-utils] Wrote the types of ${model.tables.length} table(s) to ${out}`);
+}
+
+module.exports = {
+	types,
+	generateTypes,
+	generateJsonSchema,
+};
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {file} = require('sm-utils');
+const {
+	getKnex,
+	setKnex,
+	getLogger,
+	createTempDb,
+	dropTempDb,
+} = require('./index');
+const {
+	generateFiles,
+	resolveSchemas,
+	getTables,
+	getColumns,
+	getIndexes,
+	getConstraints,
+} = require('./consolidate');
+
+/**
+ * @typedef {object} tableSnapshot
+ * @property {{[column: string]: {type: string, default: string | null, nullable: boolean}}} columns
+ * @property {{[index: string]: string}} indexes definition by name
+ * @property {{[constraint: string]: string}} constraints definition by name
+ */
+
+/**
+ * Snapshot of the tables of the current knex (getKnex), for comparison
+ * @param {string[]} schemas
+ * @returns {Promise<{[table: string]: tableSnapshot}>}
+ */
+async function snapshot(schemas) {
+	const tables = await getTables(schemas);
+	/** @type {{[table: string]: tableSnapshot}} */
+	const result = {};
+
+	await Promise.all(tables.map(async (table) => {
+		const columnsInfo = await getColumns(table.table_name, table.table_schema);
+		const indexes = await getIndexes(table.table_name, table.table_schema);
+		const constraints = await getConstraints(table.table_name, table.table_schema);
+
+		/** @type {tableSnapshot} */
+		const tableSnapshot = {columns: {}, indexes: {}, constraints: {}};
+		Object.keys(columnsInfo).forEach((columnName) => {
+			const columnInfo = columnsInfo[columnName];
+			tableSnapshot.columns[columnName] = {
+				type: columnInfo.detailedInfo.formatted_type,
+				default: columnInfo.defaultValue,
+				nullable: columnInfo.nullable,
+			};
+		});
+		indexes.forEach((index) => {
+			tableSnapshot.indexes[index.index_name] = index.index_def;
+		});
+		constraints.forEach((constraint) => {
+			tableSnapshot.constraints[constraint.constraint_name] = constraint.constraint_def;
+		});
+		result[`${table.table_schema}.${table.table_name}`] = tableSnapshot;
+	}));
+
+	return result;
+}
+
+/**
+ * @param {string} what
+ * @param {object} source
+ * @param {object} generated
+ * @param {(key: string, sourceVal: any, generatedVal: any) => string[]} compareValue
+ * @returns {string[]}
+ */
+function compareKeys(what, source, generated, compareValue) {
+	const keys = Array.from(new Set(Object.keys(source).concat(Object.keys(generated)))).sort();
+	return [].concat(...keys.map((key) => {
+		if (!(key in generated)) return [`${what} ${key} is missing`];
+		if (!(key in source)) return [`${what} ${key} should not exist`];
+		return compareValue(key, source[key], generated[key]);
+	}));
+}
+
+/**
+ * Differences between the source database and the one created by the generated migrations
+ * @param {{[table: string]: tableSnapshot}} source
+ * @param {{[table: string]: tableSnapshot}} generated
+ * @returns {string[]}
+ */
+function compareSnapshots(source, generated) {
+	const compareDef = what => (key, sourceDef, generatedDef) => {
+		if (sourceDef === generatedDef) return [];
+		return [`${what} ${key} is "${generatedDef}" instead of "${sourceDef}"`];
+	};
+
+	return compareKeys('table', source, generated, (tableName, sourceTable, generatedTable) => {
+		const differences = [
+			...compareKeys('column', sourceTable.columns, generatedTable.columns, (columnName, sourceCol, generatedCol) => (
+				['type', 'default', 'nullable']
+					.filter(prop => sourceCol[prop] !== generatedCol[prop])
+					.map(prop => `column ${columnName} ${prop} is ${JSON.stringify(generatedCol[prop])} instead of ${JSON.stringify(sourceCol[prop])}`)
+			)),
+			...compareKeys('index', sourceTable.indexes, generatedTable.indexes, compareDef('index')),
+			...compareKeys('constraint', sourceTable.constraints, generatedTable.constraints, compareDef('constraint')),
+		];
+		return differences.map(difference => `${tableName}: ${difference}`);
+	});
+}
+
+/**
+ * Run the generated migrations on a temporary database
+ * and compare it with the current database
+ * @param {import('./consolidate').generateOptions} [options]
+ * @returns {Promise<boolean>} true if there is no difference
+ */
+async function verify(options = {}) {
+	const knex = getKnex();
+	// the databases are compared with the postgres catalogs
+	if (knex.client.config.client !== 'pg') throw new Error('verify only works with postgres');
+	const schemas = await resolveSchemas(options.schemas);
+	const files = await generateFiles({...options, schemas});
+
+	// write the migrations to a temporary dir, so that they can be required
+	const dir = await new Promise((resolve, reject) => {
+		fs.mkdtemp(path.join(os.tmpdir(), 'knex-utils-verify-'), (err, res) => {
+			if (err) reject(err);
+			else resolve(res);
+		});
+	});
+	await Promise.all(Object.keys(files).map(
+		filePath => file(path.join(dir, filePath)).write(files[filePath]),
+	));
+
+	const tempKnex = await createTempDb(knex, 'verify');
+	let differences;
+	try {
+		const migrations = Object.keys(files).filter(filePath => !filePath.includes('/')).sort();
+		for (const migration of migrations) {
+			// eslint-disable-next-line import/no-dynamic-require, global-require
+			const {up, config} = require(path.join(dir, migration));
+			// in a transaction like knex migrate, SET LOCAL in the migrations needs one
+			// eslint-disable-next-line no-await-in-loop
+			if (config && config.transaction === false) await up(tempKnex);
+			// eslint-disable-next-line no-await-in-loop
+			else await tempKnex.transaction(trx => up(trx));
+		}
+
+		const source = await snapshot(schemas);
+		setKnex(tempKnex);
+		const generated = await snapshot(schemas);
+		differences = compareSnapshots(source, generated);
+	}
+	finally {
+		setKnex(knex);
+		await dropTempDb(tempKnex);
+		await file(dir).rmrf();
+	}
+
+	if (differences.length) {
+		differences.forEach(difference => getLogger().error(`[knex-utils] ${difference}`));
+		getLogger().error(`[knex-utils] Generated migrations differ from the database in ${differences.length} place(s)`);
+		return false;
+	}
+	getLogger().info('[knex-utils] Generated migrations reproduce the database');
+	return true;
+}
+
+module.exports = {
+	verify,
+	compareSnapshots,
+};